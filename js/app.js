@@ -3,72 +3,50 @@
  * Handles screen switching, game cards, game lifecycle, and background animation.
  */
 const App = (() => {
-    const GAMES = [
-        {
-            id: 'pong',
-            instance: PongGame,
-            icon: '🏓',
-            title: 'NEURAL PONG',
-            aiType: 'Q-Learning',
-            desc: 'Classic pong — but the AI learns your paddle patterns with reinforcement learning.',
-            color: '#00f0ff'
-        },
-        {
-            id: 'connect4',
-            instance: Connect4Game,
-            icon: '🔴',
-            title: 'CONNECT 4',
-            aiType: 'Minimax + Adaptive',
-            desc: 'Strategic Connect 4 with minimax AI that adapts its heuristics to your openings.',
-            color: '#ff006e'
-        },
-        {
-            id: 'patternDuel',
-            instance: PatternDuelGame,
-            icon: '🔮',
-            title: 'PATTERN DUEL',
-            aiType: 'Markov Chain',
-            desc: 'Pick elements in a prediction duel. The AI builds a Markov chain of your choices.',
-            color: '#ffe600'
-        },
-        {
-            id: 'dodgeArena',
-            instance: DodgeArenaGame,
-            icon: '💥',
-            title: 'DODGE ARENA',
-            aiType: 'Heatmap Tracking',
-            desc: 'Dodge projectiles as the AI learns your movement patterns and aims where you hide.',
-            color: '#ff6b35'
-        },
-        {
-            id: 'memoryMatch',
-            instance: MemoryMatchGame,
-            icon: '🧠',
-            title: 'MEMORY MATCH',
-            aiType: 'Recall Modeling',
-            desc: 'Match card pairs while the AI adapts difficulty based on your recall patterns.',
-            color: '#39ff14'
-        }
-    ];
-
     let currentGame = null;
     let bgAnimation = null;
     let insightInterval = null;
 
+    const TREND_RANGES = {
+        week: { label: 'Last 7 days', days: 7 },
+        month: { label: 'Last 30 days', days: 30 },
+        quarter: { label: 'Last 90 days', days: 90 },
+        all: { label: 'All time', days: null }
+    };
+    const ROLLING_WINDOW = 10; // matches in the rolling AI win rate
+    let trendRange = 'all';
+    let trendCharts = [];
+
+    let lastGameId = null; // card to focus when coming back to the menu
+    let spokenInsights = {}; // label -> last announced value, for insights marked `announce`
+
+    let replayPlayer = null;
+    let replayGame = null; // game module being replayed
+    let replayDriver = null;
+    let replayReturnTo = 'menu';
+    let lastReplayInsights = 0;
+    const REPLAY_INSIGHT_INTERVAL = 250; // ms between insight refreshes while playing
+
     // DOM refs
     const screens = {
         menu: document.getElementById('main-menu'),
         game: document.getElementById('game-screen'),
-        profile: document.getElementById('profile-screen')
+        profile: document.getElementById('profile-screen'),
+        settings: document.getElementById('settings-screen'),
+        replay: document.getElementById('replay-screen')
     };
 
     function showScreen(name) {
         Object.values(screens).forEach(s => s.classList.remove('active'));
         screens[name].classList.add('active');
 
+        if (name !== 'profile') destroyTrendCharts();
+        if (name !== 'replay') closeReplay();
+
         if (name === 'menu') {
             startBgAnimation();
             updateMenuBadge();
+            focusGameCard(lastGameId);
         } else {
             stopBgAnimation();
         }
@@ -80,13 +58,15 @@ const App = (() => {
         const container = document.getElementById('game-cards');
         const overview = PlayerProfile.getOverview();
 
-        container.innerHTML = GAMES.map(game => {
+        container.innerHTML = GameRegistry.list().map(game => {
             const stats = overview.games[game.id] || {};
             const played = stats.played || 0;
             const winRate = stats.winRate || 0;
 
+            const label = `${game.title}, ${game.aiType}. ${played > 0 ? `Played ${played}, ${winRate}% win rate` : 'New'}`;
             return `
-                <div class="game-card fade-in" data-game="${game.id}" style="--card-color: ${game.color}">
+                <div class="game-card fade-in" data-game="${game.id}" style="--card-color: ${game.color}"
+                     role="button" tabindex="0" aria-label="${escapeHtml(label)}">
                     <span class="card-icon">${game.icon}</span>
                     <div class="card-title">${game.title}</div>
                     <div class="card-ai-type" style="color: ${game.color}">${game.aiType}</div>
@@ -100,25 +80,146 @@ const App = (() => {
         }).join('');
 
         // Attach click handlers
-        container.querySelectorAll('.game-card').forEach(card => {
+        const cards = [...container.querySelectorAll('.game-card')];
+        cards.forEach((card, i) => {
             card.onclick = () => {
                 AudioSystem.click();
                 launchGame(card.dataset.game);
             };
+            card.onkeydown = (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    card.click();
+                    return;
+                }
+                // Arrow keys walk the cards in reading order
+                const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+                if (!step) return;
+                e.preventDefault();
+                cards[(i + step + cards.length) % cards.length].focus();
+            };
         });
     }
 
+    function focusGameCard(gameId) {
+        if (!gameId) return;
+        const card = document.querySelector(`.game-card[data-game="${gameId}"]`);
+        if (card) card.focus();
+    }
+
+    // --- Accessibility ---
+
+    function announce(text) {
+        // Clearing first makes a repeated message ("No match.") get read again
+        const region = document.getElementById('a11y-announcer');
+        region.textContent = '';
+        setTimeout(() => { region.textContent = text; }, 50);
+    }
+
+    function announceInsights(insights) {
+        const changed = insights.filter(i => i.announce && spokenInsights[i.label] !== i.value);
+        for (const i of changed) spokenInsights[i.label] = i.value;
+        if (changed.length > 0) announce(`AI insight. ${changed.map(i => `${i.label}: ${i.value}`).join('. ')}`);
+    }
+
+    function watchOverlay() {
+        // Start and end screens: read out the message and put focus on the main button
+        const overlay = document.getElementById('game-ui-overlay');
+        new MutationObserver(() => {
+            const screen = overlay.querySelector('.game-start-overlay');
+            if (!screen) return;
+            // End screens carry a message and details, start screens an instruction
+            const msg = screen.querySelector('.game-overlay-msg');
+            const details = msg && msg.nextElementSibling && msg.nextElementSibling.tagName !== 'BUTTON' ? msg.nextElementSibling.textContent : '';
+            const instruction = screen.querySelector('.start-instruction');
+            const text = msg ? `${msg.textContent} ${details}` : (instruction ? instruction.textContent : '');
+            if (text) announce(text.replace(/\s+/g, ' ').trim());
+            const button = screen.querySelector('.start-btn');
+            if (button) button.focus();
+        }).observe(overlay, { childList: true });
+    }
+
+    function buildProfileSwitcher() {
+        const container = document.getElementById('profile-switcher');
+        const profiles = PlayerProfile.listProfiles();
+
+        container.innerHTML = `
+            <select class="profile-select" id="profile-select" title="Active profile">
+                ${profiles.map(p => `<option value="${p.id}"${p.active ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+            </select>
+            <button class="switcher-btn" data-action="create" title="New profile">＋</button>
+            <button class="switcher-btn" data-action="rename" title="Rename profile">✎</button>
+            <button class="switcher-btn" data-action="delete" title="Delete profile"${profiles.length <= 1 ? ' disabled' : ''}>🗑</button>
+        `;
+
+        const select = document.getElementById('profile-select');
+        select.onchange = async () => {
+            AudioSystem.click();
+            try {
+                await PlayerProfile.switchProfile(select.value);
+            } catch (e) {
+                select.value = PlayerProfile.getActiveProfile().id;
+                alert(`Switching profile failed: ${e.message}`);
+                return;
+            }
+            refreshMenu();
+        };
+        container.querySelectorAll('.switcher-btn').forEach(btn => {
+            btn.onclick = () => {
+                AudioSystem.click();
+                handleProfileAction(btn.dataset.action);
+            };
+        });
+    }
+
+    async function handleProfileAction(action) {
+        const active = PlayerProfile.getActiveProfile();
+        try {
+            if (action === 'create') {
+                const name = prompt('New profile name:');
+                if (name === null) return;
+                await PlayerProfile.createProfile(name);
+            } else if (action === 'rename') {
+                const name = prompt('Rename profile:', active.name);
+                if (name === null) return;
+                await PlayerProfile.renameProfile(active.id, name);
+            } else if (action === 'delete') {
+                if (!confirm(`Delete profile "${active.name}" and everything the AI learned about it?`)) return;
+                await PlayerProfile.deleteProfile(active.id);
+            }
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        refreshMenu();
+    }
+
+    function refreshMenu() {
+        Settings.apply(); // Settings belong to the profile, which may have changed
+        updateMuteButton();
+        buildProfileSwitcher();
+        buildGameCards();
+        updateMenuBadge();
+    }
+
     function updateMenuBadge() {
         const badge = document.getElementById('menu-adaptation');
         const level = PlayerProfile.getAdaptationLevel();
         badge.textContent = `LV ${level}`;
     }
 
+    function escapeHtml(str) {
+        return String(str).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
     // --- Background Animation ---
 
     let neuralBg = null;
 
     function startBgAnimation() {
+        if (Settings.get('background') === 'off') return;
         const canvas = document.getElementById('bg-canvas');
         if (!neuralBg) {
             neuralBg = new NeuralBackground(canvas);
@@ -141,21 +242,23 @@ const App = (() => {
     // --- Game Lifecycle ---
 
     function launchGame(gameId) {
-        const gameDef = GAMES.find(g => g.id === gameId);
+        const gameDef = GameRegistry.get(gameId);
         if (!gameDef) return;
 
         currentGame = gameDef;
-        const instance = gameDef.instance;
+        lastGameId = gameId;
+        spokenInsights = {};
 
         // Set up game screen
         document.getElementById('game-title').textContent = gameDef.title;
+        document.getElementById('game-canvas').setAttribute('aria-label', `${gameDef.title} board`);
         document.getElementById('game-ui-overlay').innerHTML = '';
 
         showScreen('game');
 
         // Initialize game on canvas
         const canvas = document.getElementById('game-canvas');
-        instance.start(canvas);
+        gameDef.start(canvas, { overlay: document.getElementById('game-ui-overlay'), announce });
 
         // Start insight updates
         updateInsights();
@@ -165,7 +268,8 @@ const App = (() => {
 
     function stopCurrentGame() {
         if (currentGame) {
-            currentGame.instance.stop();
+            currentGame.stop();
+            InputManager.detach(); // In case a game left its input attached
             clearInterval(insightInterval);
             insightInterval = null;
             currentGame = null;
@@ -175,9 +279,13 @@ const App = (() => {
 
     function updateInsights() {
         if (!currentGame) return;
-        const insights = currentGame.instance.getInsights();
-        const container = document.getElementById('ai-insights-content');
+        const insights = currentGame.getInsights();
+        renderInsights(document.getElementById('ai-insights-content'), insights);
+        announceInsights(insights);
+        updateStatsBar();
+    }
 
+    function renderInsights(container, insights) {
         container.innerHTML = insights.map(insight => {
             let barHtml = '';
             if (insight.bar !== undefined) {
@@ -195,14 +303,105 @@ const App = (() => {
                 </div>
             `;
         }).join('');
-
-        updateStatsBar();
     }
 
     function updateStatsBar() {
         if (!currentGame) return;
         const bar = document.getElementById('game-stats-bar');
-        bar.innerHTML = currentGame.instance.getStatsBar();
+        bar.innerHTML = currentGame.getStatsBar();
+    }
+
+    // --- Replay Viewer ---
+
+    function launchReplay(gameId, replayId) {
+        const gameDef = GameRegistry.get(gameId);
+        const record = PlayerProfile.getReplay(gameId, replayId);
+        if (!gameDef || !gameDef.replayDriver || !record) {
+            alert('That replay is no longer stored. Only the most recent matches keep one.');
+            return;
+        }
+        if (record.version !== Replay.FORMAT_VERSION) {
+            alert('That replay was recorded by a different version and cannot be played.');
+            return;
+        }
+
+        replayReturnTo = screens.profile.classList.contains('active') ? 'profile' : 'menu';
+        stopCurrentGame();
+        closeReplay();
+        showScreen('replay');
+
+        replayGame = gameDef;
+        document.getElementById('replay-title').textContent = gameDef.title;
+        replayDriver = gameDef.replayDriver(document.getElementById('replay-canvas'), record);
+        replayPlayer = Replay.createPlayer(replayDriver, updateReplayControls);
+
+        const scrubber = document.getElementById('replay-scrubber');
+        scrubber.max = replayDriver.steps;
+        document.getElementById('replay-speed').value = '1';
+        updateReplayControls();
+        replayPlayer.play();
+    }
+
+    function closeReplay() {
+        if (!replayPlayer) return;
+        replayPlayer.destroy();
+        replayGame.stop();
+        replayPlayer = null;
+        replayGame = null;
+        replayDriver = null;
+    }
+
+    function updateReplayControls() {
+        if (!replayPlayer) return;
+        const { position, steps, playing } = replayPlayer;
+        document.getElementById('replay-scrubber').value = position;
+        document.getElementById('replay-play').textContent = playing ? '⏸' : '▶';
+        document.getElementById('replay-position').textContent = replayDriver.unit
+            ? `${replayDriver.unit} ${position} / ${steps}`
+            : `${formatDuration(position * replayDriver.stepMs)} / ${formatDuration(steps * replayDriver.stepMs)}`;
+
+        // Re-rendering insights every frame would restart their bar transitions
+        const now = performance.now();
+        if (playing && now - lastReplayInsights < REPLAY_INSIGHT_INTERVAL) return;
+        lastReplayInsights = now;
+        renderInsights(document.getElementById('replay-insights-content'), replayGame.getInsights());
+        document.getElementById('replay-stats-bar').innerHTML = replayGame.getStatsBar();
+    }
+
+    function bindReplayControls() {
+        const on = (id, event, fn) => document.getElementById(id).addEventListener(event, fn);
+        on('replay-play', 'click', () => {
+            if (replayPlayer.playing) replayPlayer.pause(); else replayPlayer.play();
+        });
+        on('replay-restart', 'click', () => replayPlayer.seek(0));
+        on('replay-prev', 'click', () => replayPlayer.step(-1));
+        on('replay-next', 'click', () => replayPlayer.step(1));
+        on('replay-speed', 'change', (e) => replayPlayer.setSpeed(parseFloat(e.target.value)));
+        on('replay-scrubber', 'input', (e) => {
+            replayPlayer.pause();
+            replayPlayer.seek(parseInt(e.target.value));
+        });
+        on('replay-back-btn', 'click', () => {
+            AudioSystem.click();
+            closeReplay();
+            if (replayReturnTo === 'profile') showProfile();
+            else {
+                refreshMenu();
+                showScreen('menu');
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!replayPlayer || e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT') return;
+            if (e.key === ' ') {
+                e.preventDefault();
+                if (replayPlayer.playing) replayPlayer.pause(); else replayPlayer.play();
+            } else if (e.key === 'ArrowRight') {
+                replayPlayer.step(1);
+            } else if (e.key === 'ArrowLeft') {
+                replayPlayer.step(-1);
+            }
+        });
     }
 
     // --- Profile Screen ---
@@ -223,6 +422,10 @@ const App = (() => {
                     <div class="adaptation-number">${overview.adaptationLevel}</div>
                     <div class="adaptation-label">AI Adaptation Level</div>
                 </div>
+                <div class="profile-stat-row">
+                    <span class="profile-stat-label">Profile</span>
+                    <span class="profile-stat-value">${escapeHtml(PlayerProfile.getActiveProfile().name)}</span>
+                </div>
                 <div class="profile-stat-row">
                     <span class="profile-stat-label">Total Games</span>
                     <span class="profile-stat-value">${overview.totalGamesPlayed}</span>
@@ -231,7 +434,7 @@ const App = (() => {
         `;
 
         // Per-game stats
-        for (const gameDef of GAMES) {
+        for (const gameDef of GameRegistry.list()) {
             const stats = overview.games[gameDef.id];
             if (!stats) continue;
             html += `
@@ -243,97 +446,559 @@ const App = (() => {
                     </div>
                     <div class="profile-stat-row">
                         <span class="profile-stat-label">Win Rate</span>
-                        <span class="profile-stat-value" style="color: ${stats.winRate >= 50 ? '#39ff14' : '#ff006e'}">${stats.winRate}%</span>
+                        ${rateValue(stats.winRate, true)}
                     </div>
                     <div class="profile-stat-row">
                         <span class="profile-stat-label">AI Win Rate</span>
-                        <span class="profile-stat-value" style="color: ${stats.aiWinRate >= 50 ? '#ff006e' : '#39ff14'}">${stats.aiWinRate}%</span>
+                        ${rateValue(stats.aiWinRate, false)}
                     </div>
                 </div>
             `;
         }
 
+        // Match history
+        html += `
+            <div class="profile-card profile-card-wide">
+                <h3>🗂 MATCH HISTORY</h3>
+                <div class="history-filters">
+                    <select class="profile-select" id="history-game">
+                        <option value="">All games</option>
+                        ${GameRegistry.list().map(g => `<option value="${g.id}">${g.icon} ${g.title}</option>`).join('')}
+                    </select>
+                    <label>From <input type="date" class="profile-select" id="history-from"></label>
+                    <label>To <input type="date" class="profile-select" id="history-to"></label>
+                </div>
+                <div class="history-list" id="history-list"></div>
+            </div>
+        `;
+
         // Detected Patterns
         if (overview.detectedPatterns.length > 0) {
             html += `
                 <div class="profile-card">
                     <h3>🔍 DETECTED PATTERNS</h3>
-                    <div>${overview.detectedPatterns.map(p => `<span class="pattern-tag">${p}</span>`).join('')}</div>
+                    <div>${overview.detectedPatterns.map(p => `<span class="pattern-tag">${escapeHtml(p)}</span>`).join('')}</div>
                 </div>
             `;
         }
 
-        // AI Win Rate Over Time (text-based since we don't have a chart lib)
-        if (overview.winRateHistory.length > 5) {
-            const recent = overview.winRateHistory.slice(-10);
-            const avg = Math.round(recent.reduce((a, r) => a + r.aiWinRate, 0) / recent.length);
-            html += `
-                <div class="profile-card">
-                    <h3>📈 AI PERFORMANCE TREND</h3>
-                    <div class="profile-stat-row">
-                        <span class="profile-stat-label">Recent AI Win Rate</span>
-                        <span class="profile-stat-value">${avg}%</span>
-                    </div>
-                    <div style="display: flex; align-items: flex-end; gap: 3px; height: 60px; margin-top: 12px;">
-                        ${recent.map(r => {
-                            const h = Math.max(4, r.aiWinRate * 0.6);
-                            return `<div style="flex:1; height:${h}px; background: linear-gradient(to top, #ff006e, #b829dd); border-radius: 2px;" title="${r.aiWinRate}%"></div>`;
-                        }).join('')}
-                    </div>
-                    <div style="display: flex; justify-content: space-between; font-size: 0.7rem; color: var(--text-dim); margin-top: 4px;">
-                        <span>Older</span><span>Recent</span>
-                    </div>
+        // AI win-rate trends (charts are drawn once the markup is in place)
+        html += `
+            <div class="profile-card profile-card-wide">
+                <h3>📈 AI WIN-RATE TRENDS</h3>
+                <div class="history-filters">
+                    <select class="profile-select" id="trend-range">
+                        ${Object.entries(TREND_RANGES).map(([key, r]) => `<option value="${key}"${key === trendRange ? ' selected' : ''}>${r.label}</option>`).join('')}
+                    </select>
                 </div>
-            `;
-        }
+                <div class="chart-grid" id="trend-charts"></div>
+            </div>
+        `;
+
+        // Backup & transfer
+        html += `
+            <div class="profile-card">
+                <h3>💾 BACKUP & TRANSFER</h3>
+                <div class="profile-note">Save your profile, including everything the AI has learned, or load one from another browser.</div>
+                <div class="profile-actions">
+                    <button class="back-btn" onclick="App.exportProfile()">⬇ EXPORT</button>
+                    <button class="back-btn" onclick="App.importProfile()">⬆ IMPORT</button>
+                </div>
+                <input type="file" id="profile-import-input" accept=".json,application/json" hidden>
+            </div>
+        `;
 
         // Reset button
         html += `
             <div class="profile-card" style="text-align: center;">
-                <button class="back-btn" onclick="if(confirm('Reset all data?')){PlayerProfile.reset();App.showProfile();}" style="color: #ff006e; border-color: #ff006e;">
+                <button class="back-btn" onclick="if(confirm('Reset all data for this profile?')){PlayerProfile.reset();App.showProfile();}" style="color: var(--neon-pink); border-color: var(--neon-pink);">
                     🗑️ RESET ALL DATA
                 </button>
             </div>
         `;
 
         container.innerHTML = html;
+
+        for (const id of ['history-game', 'history-from', 'history-to']) {
+            document.getElementById(id).onchange = renderHistory;
+        }
+        renderHistory();
+
+        document.getElementById('trend-range').onchange = (e) => {
+            trendRange = e.target.value;
+            renderTrends();
+        };
+        renderTrends();
+
+        document.getElementById('profile-import-input').onchange = (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) readImportFile(file);
+        };
+    }
+
+    // --- Win-Rate Trends ---
+
+    function buildTrend(gameId, from) {
+        // Rates accumulate over the whole stored history; the range only picks what is drawn
+        const entries = PlayerProfile.queryHistory({ game: gameId }).reverse();
+        const ai = [], you = [], rolling = [];
+        let wins = 0, losses = 0;
+
+        entries.forEach((e, i) => {
+            if (e.result === 'win') wins++;
+            else if (e.result === 'loss') losses++;
+            if (from !== null && e.timestamp < from) return;
+
+            const x = i + 1; // match number
+            const recent = entries.slice(Math.max(0, i - ROLLING_WINDOW + 1), i + 1);
+            const recentLosses = recent.filter(r => r.result === 'loss').length;
+            ai.push({ x, y: (losses / x) * 100 });
+            you.push({ x, y: (wins / x) * 100 });
+            rolling.push({ x, y: (recentLosses / recent.length) * 100 });
+        });
+
+        return {
+            points: ai.length,
+            xFormat: x => `#${x} · ${new Date(entries[x - 1].timestamp).toLocaleDateString()}`,
+            series: [
+                { label: 'AI win rate', color: Theme.colors.pink, points: ai },
+                { label: 'Your win rate', color: Theme.colors.cyan, points: you },
+                { label: `AI last ${ROLLING_WINDOW}`, color: Theme.colors.purple, dashed: true, points: rolling }
+            ]
+        };
+    }
+
+    function renderTrends() {
+        destroyTrendCharts();
+        const container = document.getElementById('trend-charts');
+        const days = TREND_RANGES[trendRange].days;
+        const from = days === null ? null : Date.now() - days * 24 * 60 * 60 * 1000;
+
+        const trends = GameRegistry.list()
+            .map(gameDef => ({ gameDef, trend: buildTrend(gameDef.id, from) }))
+            .filter(({ trend }) => trend.points >= 2);
+
+        if (trends.length === 0) {
+            container.innerHTML = '<div class="profile-note">Play at least two matches of a game to see its trend.</div>';
+            return;
+        }
+
+        container.innerHTML = trends.map(({ gameDef }) => `
+            <div class="chart-block">
+                <div class="chart-title">${gameDef.icon} ${gameDef.title}</div>
+                <div class="win-chart-container"><canvas data-game="${gameDef.id}"></canvas></div>
+            </div>
+        `).join('');
+
+        for (const { gameDef, trend } of trends) {
+            const canvas = container.querySelector(`canvas[data-game="${gameDef.id}"]`);
+            const chart = new LineChart(canvas, { xFormat: trend.xFormat });
+            chart.setData(trend.series);
+            trendCharts.push(chart);
+        }
+    }
+
+    function destroyTrendCharts() {
+        trendCharts.forEach(chart => chart.destroy());
+        trendCharts = [];
+    }
+
+    // --- Settings ---
+
+    const VOLUMES = [['volume', 'Master'], ['effectsVolume', 'Game sounds'], ['interfaceVolume', 'Interface']];
+    const PARTICLE_CHOICES = [['high', 'High'], ['low', 'Low'], ['off', 'Off']];
+    const BACKGROUND_CHOICES = [['animated', 'Animated'], ['still', 'Still'], ['off', 'Off']];
+    const MOTION_CHOICES = [['auto', 'Follow system'], ['on', 'On'], ['off', 'Off']];
+
+    function showSettings() {
+        rebinding = null;
+        showScreen('settings');
+        renderSettings();
+    }
+
+    function settingSelect(id, label, choices, value) {
+        return `
+            <div class="profile-stat-row">
+                <label class="profile-stat-label" for="${id}">${label}</label>
+                <select class="profile-select" id="${id}">
+                    ${choices.map(([v, l]) => `<option value="${v}"${v === value ? ' selected' : ''}>${escapeHtml(String(l))}</option>`).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    function renderSettings() {
+        const container = document.getElementById('settings-content');
+
+        // Audio
+        let html = `
+            <div class="profile-card">
+                <h3>🔊 AUDIO</h3>
+                <div class="profile-stat-row">
+                    <label class="profile-stat-label" for="setting-muted">Mute</label>
+                    <input type="checkbox" id="setting-muted"${Settings.get('muted') ? ' checked' : ''}>
+                </div>
+                ${VOLUMES.map(([key, label]) => `
+                    <div class="profile-stat-row">
+                        <label class="profile-stat-label" for="setting-${key}">${label}</label>
+                        <input type="range" class="settings-range" id="setting-${key}" data-volume="${key}" min="0" max="100" step="5" value="${Settings.get(key)}">
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        // Visuals and accessibility
+        html += `
+            <div class="profile-card">
+                <h3>✨ VISUALS</h3>
+                ${settingSelect('setting-particles', 'Particles', PARTICLE_CHOICES, Settings.get('particles'))}
+                ${settingSelect('setting-background', 'Menu background', BACKGROUND_CHOICES, Settings.get('background'))}
+                ${settingSelect('setting-theme', 'Colours', Theme.list().map(t => [t.id, t.label]), Theme.current)}
+                ${settingSelect('setting-motion', 'Reduced motion', MOTION_CHOICES, Settings.get('reducedMotion'))}
+                <div class="profile-note">Reduced motion means fewer, calmer particles, a still menu background and no interface animations. Every palette marks pieces, shots and results by shape as well as colour.</div>
+            </div>
+        `;
+
+        // Match options (games that declare them)
+        const configurable = GameRegistry.list().filter(g => g.options && Object.keys(g.options).length > 0);
+        if (configurable.length > 0) {
+            html += `
+                <div class="profile-card">
+                    <h3>🏁 MATCHES</h3>
+                    ${configurable.map(gameDef => Object.entries(gameDef.options).map(([key, o]) => settingSelect(
+                        `option-${gameDef.id}-${key}`, `${gameDef.icon} ${escapeHtml(o.label)}`,
+                        o.choices.map(c => [c, c]), Settings.gameOption(gameDef, key)
+                    )).join('')).join('')}
+                    <div class="profile-note">Match options apply from the next match.</div>
+                </div>
+            `;
+        }
+
+        // Controls (games that declare keyboard actions)
+        const rebindable = GameRegistry.list().filter(g => g.controls && Object.keys(g.controls).length > 0);
+        if (rebindable.length > 0) {
+            html += `
+                <div class="profile-card profile-card-wide">
+                    <h3>🎮 CONTROLS</h3>
+                    <div class="profile-note">Click a binding, then press the key to use. Esc cancels. Mouse, touch and gamepads always work too.</div>
+                    <div class="controls-grid" id="controls-grid"></div>
+                </div>
+            `;
+        }
+
+        container.innerHTML = html;
+
+        document.getElementById('setting-muted').onchange = (e) => {
+            Settings.set({ muted: e.target.checked });
+            updateMuteButton();
+        };
+        container.querySelectorAll('[data-volume]').forEach(input => {
+            input.oninput = () => Settings.set({ [input.dataset.volume]: Number(input.value) });
+            input.onchange = () => AudioSystem.click(); // Preview the new level
+        });
+        document.getElementById('setting-particles').onchange = (e) => Settings.set({ particles: e.target.value });
+        document.getElementById('setting-background').onchange = (e) => Settings.set({ background: e.target.value });
+        document.getElementById('setting-theme').onchange = (e) => Settings.set({ theme: e.target.value });
+        document.getElementById('setting-motion').onchange = (e) => Settings.set({ reducedMotion: e.target.value });
+        for (const gameDef of configurable) {
+            for (const [key, o] of Object.entries(gameDef.options)) {
+                document.getElementById(`option-${gameDef.id}-${key}`).onchange = (e) => {
+                    // Select values are strings; store the choice itself
+                    const choice = o.choices.find(c => String(c) === e.target.value);
+                    Settings.setGameOption(gameDef, key, choice);
+                };
+            }
+        }
+        if (rebindable.length > 0) renderControls();
+    }
+
+    function updateMuteButton() {
+        const btn = document.getElementById('mute-btn');
+        const muted = Settings.get('muted');
+        btn.textContent = muted ? '🔇' : '🔊';
+        btn.title = muted ? 'Unmute sound' : 'Mute sound';
+        btn.setAttribute('aria-pressed', String(muted));
+    }
+
+    // --- Controls ---
+
+    let rebinding = null; // {game, action} waiting for a key
+
+    function renderControls() {
+        const container = document.getElementById('controls-grid');
+        container.innerHTML = GameRegistry.list().filter(g => g.controls).map(gameDef => {
+            const bindings = InputManager.bindingsFor(gameDef);
+            const custom = Object.keys(PlayerProfile.getControls(gameDef.id)).length > 0;
+            const rows = Object.entries(gameDef.controls).map(([action, def]) => {
+                const waiting = rebinding && rebinding.game === gameDef.id && rebinding.action === action;
+                const keys = bindings[action].map(InputManager.keyLabel).join(' / ') || 'unbound';
+                return `
+                    <div class="profile-stat-row">
+                        <span class="profile-stat-label">${escapeHtml(def.label)}</span>
+                        <button class="key-btn${waiting ? ' waiting' : ''}" data-game="${gameDef.id}" data-action="${action}">${waiting ? 'Press a key…' : escapeHtml(keys)}</button>
+                    </div>
+                `;
+            }).join('');
+            return `
+                <div class="controls-block">
+                    <div class="chart-title">${gameDef.icon} ${gameDef.title}</div>
+                    ${rows}
+                    ${custom ? `<button class="history-replay-btn" data-reset="${gameDef.id}">Reset to defaults</button>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.key-btn').forEach(btn => {
+            btn.onclick = () => {
+                AudioSystem.click();
+                rebinding = { game: btn.dataset.game, action: btn.dataset.action };
+                renderControls();
+            };
+        });
+        container.querySelectorAll('[data-reset]').forEach(btn => {
+            btn.onclick = () => {
+                AudioSystem.click();
+                PlayerProfile.setControls(btn.dataset.reset, null);
+                renderControls();
+            };
+        });
+    }
+
+    function captureRebind(e) {
+        // The pressed key replaces the action's keys and is taken off the game's other actions
+        if (!rebinding || !screens.settings.classList.contains('active')) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const { game, action } = rebinding;
+        rebinding = null;
+        if (e.key !== 'Escape') {
+            const key = InputManager.normalizeKey(e.key);
+            const bindings = InputManager.bindingsFor(GameRegistry.get(game));
+            for (const other of Object.keys(bindings)) {
+                bindings[other] = bindings[other].filter(k => k !== key);
+            }
+            bindings[action] = [key];
+            PlayerProfile.setControls(game, bindings);
+        }
+        renderControls();
+    }
+
+    // --- Match History ---
+
+    function renderHistory() {
+        const game = document.getElementById('history-game').value || null;
+        const fromVal = document.getElementById('history-from').value;
+        const toVal = document.getElementById('history-to').value;
+        // Date inputs are local calendar days; the 'to' day is included in full
+        const from = fromVal ? new Date(`${fromVal}T00:00:00`).getTime() : null;
+        const to = toVal ? new Date(`${toVal}T23:59:59.999`).getTime() : null;
+        const entries = PlayerProfile.queryHistory({ game, from, to });
+
+        const list = document.getElementById('history-list');
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="profile-note">No matches recorded in this range.</div>';
+            return;
+        }
+
+        const resultColors = { win: 'var(--neon-green)', loss: 'var(--neon-pink)', draw: 'var(--neon-yellow)' };
+        const rows = entries.map(e => {
+            const gameDef = GameRegistry.get(e.game);
+            const score = e.score ? Object.entries(e.score).map(([k, v]) => `${k} ${v}`).join(' · ') : '—';
+            const level = e.level ? `${e.level.label} ${e.level.value}` : '—';
+            const patterns = (e.patterns || []).map(p => `<span class="pattern-tag">${escapeHtml(p)}</span>`).join('');
+            return `
+                <tr>
+                    <td>${new Date(e.timestamp).toLocaleString()}</td>
+                    <td>${gameDef ? `${gameDef.icon} ${gameDef.title}` : escapeHtml(e.game)}</td>
+                    <td style="color: ${resultColors[e.result] || 'inherit'}">${escapeHtml(e.result).toUpperCase()}</td>
+                    <td>${escapeHtml(score)}</td>
+                    <td>${escapeHtml(level)}</td>
+                    <td>${e.duration != null ? formatDuration(e.duration) : '—'}</td>
+                    <td>${patterns}</td>
+                    <td>${e.replayId && gameDef && gameDef.replayDriver && PlayerProfile.getReplay(e.game, e.replayId)
+                        ? `<button class="history-replay-btn" title="Watch replay" data-game="${gameDef.id}" data-replay="${escapeHtml(e.replayId)}">▶</button>`
+                        : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        list.innerHTML = `
+            <table class="history-table">
+                <thead>
+                    <tr><th>When</th><th>Game</th><th>Result</th><th>Score</th><th>Level</th><th>Time</th><th>Patterns</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        list.querySelectorAll('[data-replay]').forEach(btn => {
+            btn.onclick = () => launchReplay(btn.dataset.game, btn.dataset.replay);
+        });
+    }
+
+    function formatDuration(ms) {
+        const total = Math.round(ms / 1000);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    function rateValue(rate, playerSide) {
+        // Colour says whether the rate is good for the player; the arrow
+        // says above or below even, so it reads without the colour too
+        const good = playerSide ? rate >= 50 : rate < 50;
+        return `<span class="profile-stat-value" style="color: var(${good ? '--neon-green' : '--neon-pink'})">${rate >= 50 ? '▲' : '▼'} ${rate}%</span>`;
+    }
+
+    // --- Profile Export / Import ---
+
+    function exportProfile() {
+        const data = PlayerProfile.exportData();
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `neural-arena-profile-${new Date(data.exportedAt).toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    function importProfile() {
+        document.getElementById('profile-import-input').click();
+    }
+
+    function readImportFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let incoming;
+            try {
+                incoming = PlayerProfile.parseImport(reader.result);
+            } catch (e) {
+                alert(`Import failed: ${e.message}`);
+                return;
+            }
+            showImportPreview(incoming);
+        };
+        reader.onerror = () => alert('Import failed: could not read file');
+        reader.readAsText(file);
+    }
+
+    function showImportPreview(incoming) {
+        const preview = PlayerProfile.previewImport(incoming);
+        const row = (label, value) => `
+            <div class="profile-stat-row">
+                <span class="profile-stat-label">${label}</span>
+                <span class="profile-stat-value">${value}</span>
+            </div>
+        `;
+
+        let rows = row('Created', new Date(preview.created).toLocaleDateString());
+        rows += row('Total Games', `${preview.currentTotal} → ${preview.incomingTotal}`);
+        rows += row('Detected Patterns', `${preview.currentPatterns} → ${preview.incomingPatterns}`);
+        for (const gameDef of GameRegistry.list()) {
+            const g = preview.games[gameDef.id];
+            if (!g) continue;
+            const models = g.models.length > 0 ? ` · ${g.models.length} learned` : '';
+            rows += row(`${gameDef.icon} ${gameDef.title}`, `${g.currentPlayed} → ${g.incomingPlayed} played${models}`);
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'profile-modal';
+        modal.innerHTML = `
+            <div class="profile-card profile-modal-card">
+                <h3>⬆ IMPORT PREVIEW</h3>
+                ${rows}
+                <div class="profile-note">Replace overwrites this profile. Merge adds the matches this profile doesn't have yet, and takes the imported AI models.</div>
+                <div class="profile-actions">
+                    <button class="back-btn" data-mode="replace">REPLACE</button>
+                    <button class="back-btn" data-mode="merge">MERGE</button>
+                    <button class="back-btn" data-mode="cancel">CANCEL</button>
+                </div>
+            </div>
+        `;
+        screens.profile.appendChild(modal);
+
+        modal.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.onclick = () => {
+                AudioSystem.click();
+                modal.remove();
+                if (btn.dataset.mode === 'cancel') return;
+                PlayerProfile.applyImport(incoming, btn.dataset.mode);
+                renderProfile();
+            };
+        });
     }
 
     // --- Init ---
 
     function init() {
-        buildGameCards();
-        updateMenuBadge();
+        Settings.apply();
+        window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', Settings.apply);
+        updateMuteButton();
+        refreshMenu();
         startBgAnimation();
+        watchOverlay();
 
         // Navigation
         document.getElementById('back-btn').onclick = () => {
             AudioSystem.click();
             stopCurrentGame();
-            buildGameCards(); // Refresh stats
+            refreshMenu(); // Refresh stats
             showScreen('menu');
         };
 
-        document.getElementById('profile-btn').onclick = () => {
-            AudioSystem.click();
-            showProfile();
-        };
+        bindMenuButton('profile-btn', showProfile);
+        bindMenuButton('settings-btn', showSettings);
 
         document.getElementById('profile-back-btn').onclick = () => {
             AudioSystem.click();
+            refreshMenu(); // Import or reset may have changed the profile
+            showScreen('menu');
+        };
+        document.getElementById('settings-back-btn').onclick = () => {
+            AudioSystem.click();
+            rebinding = null;
             showScreen('menu');
         };
 
+        document.getElementById('mute-btn').onclick = () => {
+            Settings.set({ muted: !Settings.get('muted') });
+            updateMuteButton();
+            AudioSystem.click();
+        };
+
+        bindReplayControls();
+        document.addEventListener('keydown', captureRebind, true);
+
         // Init audio on first interaction
         document.addEventListener('click', () => AudioSystem.init(), { once: true });
     }
 
-    // Boot
+    function bindMenuButton(id, open) {
+        // Menu buttons are divs styled as cards; Enter and Space press them too
+        const btn = document.getElementById(id);
+        btn.onclick = () => {
+            AudioSystem.click();
+            open();
+        };
+        btn.onkeydown = (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                btn.click();
+            }
+        };
+    }
+
+    // Boot once the DOM is ready and the profile has loaded from storage
+    function boot() {
+        PlayerProfile.ready.then(init);
+    }
+
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', boot);
     } else {
-        init();
+        boot();
     }
 
-    return { showProfile, launchGame };
+    return { showProfile, launchGame, launchReplay, exportProfile, importProfile };
 })();
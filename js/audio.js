@@ -22,16 +22,33 @@ if (!CanvasRenderingContext2D.prototype.roundRect) {
  * Zero external files. All sounds generated procedurally.
  */
 const AudioSystem = (() => {
+    const FULL_GAIN = 0.3; // Master gain at 100% volume
+
     let ctx = null;
     let masterGain = null;
+    let buses = null; // {effects, interface} gain nodes feeding the master
+    let levels = { master: 1, effects: 1, interface: 1 }; // 0-1, from Settings
     let enabled = true;
+    let quietUntil = 0; // Also swallows tones already scheduled by a silenced call
 
     function init() {
         if (ctx) return;
         ctx = new (window.AudioContext || window.webkitAudioContext)();
         masterGain = ctx.createGain();
-        masterGain.gain.value = 0.3;
         masterGain.connect(ctx.destination);
+        buses = {};
+        for (const name of ['effects', 'interface']) {
+            buses[name] = ctx.createGain();
+            buses[name].connect(masterGain);
+        }
+        applyLevels();
+    }
+
+    function applyLevels() {
+        if (!ctx) return; // Applied on init
+        masterGain.gain.value = FULL_GAIN * levels.master;
+        buses.effects.gain.value = levels.effects;
+        buses.interface.gain.value = levels.interface;
     }
 
     function ensureCtx() {
@@ -40,8 +57,8 @@ const AudioSystem = (() => {
     }
 
     // Core synth: play a tone with ADSR envelope
-    function playTone(freq, duration, type = 'sine', volume = 0.5, detune = 0) {
-        if (!enabled) return;
+    function playTone(freq, duration, type = 'sine', volume = 0.5, detune = 0, bus = 'effects') {
+        if (!enabled || Date.now() < quietUntil) return;
         ensureCtx();
         const osc = ctx.createOscillator();
         const gain = ctx.createGain();
@@ -52,14 +69,14 @@ const AudioSystem = (() => {
         gain.gain.linearRampToValueAtTime(volume, ctx.currentTime + 0.01);
         gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + duration);
         osc.connect(gain);
-        gain.connect(masterGain);
+        gain.connect(buses[bus]);
         osc.start(ctx.currentTime);
         osc.stop(ctx.currentTime + duration);
     }
 
     // Noise burst for impacts
     function noise(duration = 0.1, volume = 0.3) {
-        if (!enabled) return;
+        if (!enabled || Date.now() < quietUntil) return;
         ensureCtx();
         const bufferSize = ctx.sampleRate * duration;
         const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
@@ -75,17 +92,34 @@ const AudioSystem = (() => {
         gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + duration);
         src.connect(filter);
         filter.connect(gain);
-        gain.connect(masterGain);
+        gain.connect(buses.effects);
         src.start();
     }
 
     return {
         init,
         toggle() { enabled = !enabled; return enabled; },
+        setMuted(muted) { enabled = !muted; },
+        get muted() { return !enabled; },
+        setLevels(changes) {
+            levels = { ...levels, ...changes };
+            applyLevels();
+        },
+        // Run fn without sound, e.g. while fast-forwarding a replay
+        silently(fn) {
+            const was = enabled;
+            enabled = false;
+            try {
+                fn();
+            } finally {
+                enabled = was;
+                quietUntil = Date.now() + 400;
+            }
+        },
 
         // UI sounds
-        click() { playTone(800, 0.08, 'sine', 0.2); },
-        hover() { playTone(600, 0.04, 'sine', 0.1); },
+        click() { playTone(800, 0.08, 'sine', 0.2, 0, 'interface'); },
+        hover() { playTone(600, 0.04, 'sine', 0.1, 0, 'interface'); },
 
         // Game sounds
         hit() {
@@ -0,0 +1,247 @@
+/**
+ * NEURAL ARENA — Canvas Line Charts
+ * Minimal line chart for the profile screen: shared x axis, legend (click to
+ * toggle a series) and a hover tooltip. No dependencies.
+ */
+class LineChart {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} opts  yMin/yMax bound the y axis, yFormat/xFormat turn values into labels
+     */
+    constructor(canvas, opts = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.opts = {
+            yMin: 0,
+            yMax: 100,
+            yFormat: v => `${Math.round(v)}%`,
+            xFormat: x => `${x}`,
+            ...opts
+        };
+        this.series = []; // [{label, color, dashed, hidden, points: [{x, y}]}]
+        this.hoverX = null;
+        this.legendBoxes = [];
+        this.pad = { top: 26, right: 10, bottom: 20, left: 38 };
+
+        this.onMove = (e) => this.handleMove(e);
+        this.onLeave = () => { this.hoverX = null; this.draw(); };
+        this.onClick = (e) => this.handleClick(e);
+        this.onResize = () => this.resize();
+        canvas.addEventListener('mousemove', this.onMove);
+        canvas.addEventListener('mouseleave', this.onLeave);
+        canvas.addEventListener('click', this.onClick);
+        window.addEventListener('resize', this.onResize);
+        this.resize();
+    }
+
+    setData(series) {
+        this.series = series.map(s => ({ dashed: false, hidden: false, ...s }));
+        this.draw();
+    }
+
+    resize() {
+        const dpr = window.devicePixelRatio || 1;
+        this.width = this.canvas.offsetWidth;
+        this.height = this.canvas.offsetHeight;
+        this.canvas.width = this.width * dpr;
+        this.canvas.height = this.height * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.draw();
+    }
+
+    destroy() {
+        this.canvas.removeEventListener('mousemove', this.onMove);
+        this.canvas.removeEventListener('mouseleave', this.onLeave);
+        this.canvas.removeEventListener('click', this.onClick);
+        window.removeEventListener('resize', this.onResize);
+    }
+
+    // --- Geometry ---
+
+    xRange() {
+        let min = Infinity, max = -Infinity;
+        for (const s of this.series) {
+            for (const p of s.points) {
+                min = Math.min(min, p.x);
+                max = Math.max(max, p.x);
+            }
+        }
+        if (min === Infinity) return [0, 1];
+        return min === max ? [min - 1, max + 1] : [min, max];
+    }
+
+    toPx(x, y) {
+        const [xMin, xMax] = this.xRange();
+        const { top, right, bottom, left } = this.pad;
+        const { yMin, yMax } = this.opts;
+        return {
+            px: left + ((x - xMin) / (xMax - xMin)) * (this.width - left - right),
+            py: top + (1 - (y - yMin) / (yMax - yMin)) * (this.height - top - bottom)
+        };
+    }
+
+    handleMove(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const mx = e.clientX - rect.left;
+        // Snap to the nearest x that has a data point
+        let best = null, bestDist = Infinity;
+        for (const s of this.series) {
+            if (s.hidden) continue;
+            for (const p of s.points) {
+                const d = Math.abs(this.toPx(p.x, p.y).px - mx);
+                if (d < bestDist) { bestDist = d; best = p.x; }
+            }
+        }
+        this.hoverX = bestDist < 30 ? best : null;
+        this.draw();
+    }
+
+    handleClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const mx = e.clientX - rect.left, my = e.clientY - rect.top;
+        const hit = this.legendBoxes.find(b => mx >= b.x && mx <= b.x + b.w && my >= b.y && my <= b.y + b.h);
+        if (hit) {
+            hit.series.hidden = !hit.series.hidden;
+            this.draw();
+        }
+    }
+
+    // --- Rendering ---
+
+    draw() {
+        const ctx = this.ctx;
+        const { width, height } = this;
+        const { top, bottom, left, right } = this.pad;
+        const { yMin, yMax, yFormat, xFormat } = this.opts;
+        ctx.clearRect(0, 0, width, height);
+
+        // Grid + y labels
+        ctx.font = '10px Share Tech Mono';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const v = yMin + ((yMax - yMin) * i) / 4;
+            const { py } = this.toPx(0, v);
+            ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+            ctx.beginPath();
+            ctx.moveTo(left, py);
+            ctx.lineTo(width - right, py);
+            ctx.stroke();
+            ctx.fillStyle = Theme.colors.textDim;
+            ctx.fillText(yFormat(v), left - 6, py);
+        }
+
+        // x labels: first and last point
+        const [xMin, xMax] = this.xRange();
+        const hasData = this.series.some(s => s.points.length > 0);
+        if (hasData) {
+            ctx.textBaseline = 'alphabetic';
+            ctx.textAlign = 'left';
+            ctx.fillText(xFormat(xMin), left, height - 4);
+            ctx.textAlign = 'right';
+            ctx.fillText(xFormat(xMax), width - right, height - 4);
+        }
+
+        // Lines
+        for (const s of this.series) {
+            if (s.hidden || s.points.length === 0) continue;
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(s.dashed ? [5, 4] : []);
+            ctx.beginPath();
+            s.points.forEach((p, i) => {
+                const { px, py } = this.toPx(p.x, p.y);
+                if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        this.drawLegend();
+        if (this.hoverX !== null) this.drawTooltip(this.hoverX);
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    drawLegend() {
+        const ctx = this.ctx;
+        ctx.font = '10px Share Tech Mono';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        let x = this.pad.left;
+        const y = 10;
+        this.legendBoxes = [];
+        for (const s of this.series) {
+            const w = ctx.measureText(s.label).width + 22;
+            ctx.globalAlpha = s.hidden ? 0.35 : 1;
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(s.dashed ? [4, 3] : []);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + 14, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = Theme.colors.textSecondary;
+            ctx.fillText(s.label, x + 18, y);
+            this.legendBoxes.push({ x, y: y - 7, w, h: 14, series: s });
+            x += w + 10;
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    drawTooltip(xVal) {
+        const ctx = this.ctx;
+        const rows = [];
+        let anchor = null;
+        for (const s of this.series) {
+            if (s.hidden) continue;
+            const p = s.points.find(pt => pt.x === xVal);
+            if (!p) continue;
+            const pos = this.toPx(p.x, p.y);
+            anchor = anchor || pos;
+            rows.push({ color: s.color, text: `${s.label}: ${this.opts.yFormat(p.y)}` });
+
+            ctx.fillStyle = s.color;
+            ctx.beginPath();
+            ctx.arc(pos.px, pos.py, 3.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        if (!anchor) return;
+
+        // Guide line
+        ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(anchor.px, this.pad.top);
+        ctx.lineTo(anchor.px, this.height - this.pad.bottom);
+        ctx.stroke();
+
+        ctx.font = '10px Share Tech Mono';
+        const title = this.opts.xFormat(xVal);
+        const boxW = Math.max(ctx.measureText(title).width, ...rows.map(r => ctx.measureText(r.text).width)) + 24;
+        const boxH = 16 + rows.length * 14;
+        let bx = anchor.px + 10;
+        if (bx + boxW > this.width) bx = anchor.px - boxW - 10;
+        const by = this.pad.top;
+
+        ctx.fillStyle = Theme.alpha(Theme.colors.field, 0.92);
+        ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+        ctx.beginPath();
+        ctx.roundRect(bx, by, boxW, boxH, 6);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = Theme.colors.textPrimary;
+        ctx.fillText(title, bx + 8, by + 9);
+        rows.forEach((r, i) => {
+            const ry = by + 23 + i * 14;
+            ctx.fillStyle = r.color;
+            ctx.fillRect(bx + 8, ry - 3, 6, 6);
+            ctx.fillStyle = Theme.colors.textSecondary;
+            ctx.fillText(r.text, bx + 18, ry);
+        });
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * NEURAL ARENA — Connect 4 Search Worker
+ * Runs Connect4Sim's searches off the main thread so the board keeps
+ * animating while they think. Started by connect4.js, which terminates it
+ * to cancel a search.
+ *
+ * In:  { id, task, args, opts } — calls Connect4Sim[task](...args, opts),
+ *      e.g. task 'searchMove' or 'analyseMove'
+ * Out: { id, type: 'progress', ...progress } for each onProgress call, then
+ *      { id, type: 'done', result }
+ */
+importScripts('../sim/connect4-sim.js');
+
+self.onmessage = (e) => {
+    const { id, task, args, opts } = e.data;
+    const onProgress = progress => self.postMessage({ id, type: 'progress', ...progress });
+    const result = Connect4Sim[task](...args, { ...opts, onProgress });
+    self.postMessage({ id, type: 'done', result });
+};
@@ -8,245 +8,370 @@
  */
 const Connect4Game = (() => {
     let canvas, ctx, particles;
+    let overlay; // host element for start/end screens and controls
+    let announce; // host's screen-reader announcer
     let running = false;
     let animFrame;
 
-    const COLS = 7, ROWS = 6;
+    // Rules, search and the opening learner live in Connect4Sim; this module
+    // animates, renders and wires up input, audio and persistence
     const CELL = 64;
-    const W = COLS * CELL + 40;
-    const H = ROWS * CELL + 110;
     const PAD_X = 20, PAD_Y = 60;
+    let COLS, ROWS, W, H; // Board and canvas size, set per variant by init
+    let popOut; // Whether the variant lets players pop their bottom discs
 
-    let board; // 0=empty, 1=player, 2=AI
+    let model; // learned heuristics, carried between matches
+    let match;
     let currentPlayer; // 1 or 2
-    let gameOver;
-    let winner;
-    let winCells;
-    let hoverCol;
-    let moveEvals; // Evaluation scores for each column
+    let hoverCol; // column under the pointer or the keyboard cursor
+    let hoverPop; // Whether the pointer is on a disc the player could pop
     let thinkingText;
-    let moveHistory;
     let dropping; // Animation state
-
-    // Adaptive AI
-    let playerOpenings = {}; // Track first 3 moves
-    let openingWeight = {}; // Learned weights for columns
-    let aiDepth = 5; // Search depth (increases over games)
-    let gamesPlayed = 0;
-
-    function newBoard() {
-        return Array.from({ length: ROWS }, () => Array(COLS).fill(0));
-    }
-
-    function init(c) {
+    let matchStart;
+    let positionsSearched; // By the AI over the match
+    let deepestSearch;
+    let hint; // {move} for the player's suggested move (-1 while searching), or null
+    let hintsUsed;
+    let analysis; // {plies, index} while stepping through the finished game, or null
+
+    const SEARCH_BUDGET_MS = 1000; // AI (and hint) thinking time per move
+    const MIN_THINK_MS = 300; // Quick AI replies still pause, so they read as replies
+    const ANALYSIS_BUDGET_MS = 250; // Post-game analysis thinking time per move
+
+    // Replays: the record keeps the player's moves and each AI reply with
+    // what its search saw, so playback never searches
+    const REPLAY_STEP_MS = 700; // Playback time per move at 1x
+    let replay = null; // record being written (live) or played back
+    let replaying = false;
+
+    function init(c, record = null) {
         canvas = c;
         ctx = canvas.getContext('2d');
         particles = new ParticleSystem(ctx);
-        board = newBoard();
         currentPlayer = 1;
-        gameOver = false;
-        winner = 0;
-        winCells = [];
         hoverCol = -1;
-        moveEvals = [];
+        hoverPop = false;
         thinkingText = '';
-        moveHistory = [];
         dropping = null;
-
-        const stats = PlayerProfile.getGameStats('connect4');
-        gamesPlayed = stats.played || 0;
-        aiDepth = Math.min(7, 5 + Math.floor(gamesPlayed / 3));
-    }
-
-    function getValidCols(b) {
-        const valid = [];
-        for (let c = 0; c < COLS; c++) {
-            if (b[0][c] === 0) valid.push(c);
+        matchStart = Date.now();
+        positionsSearched = 0;
+        deepestSearch = 0;
+        hint = null;
+        hintsUsed = 0;
+        analysis = null;
+
+        replaying = !!record;
+        if (replaying) {
+            replay = record;
+            model = Connect4Sim.restoreModel(record.model);
+        } else {
+            const stats = PlayerProfile.getGameStats('connect4');
+            model = Connect4Sim.loadModel(stats.patterns || {}, Settings.gameOption(Connect4Game, 'variant'));
+            model.aiDepth = Connect4Sim.depthFor(stats.played || 0);
+            // Nothing in Connect 4 is random, but every replay carries a seed
+            replay = Replay.create('connect4', SeededRandom.newSeed(), model, { replies: [] });
         }
-        return valid;
+        match = Connect4Sim.createMatch(model);
+
+        const variant = Connect4Sim.VARIANTS[model.variant];
+        COLS = variant.cols;
+        ROWS = variant.rows;
+        W = COLS * CELL + 40;
+        H = ROWS * CELL + 110;
+        popOut = !!variant.popOut;
     }
 
-    function dropPiece(b, col, player) {
-        for (let r = ROWS - 1; r >= 0; r--) {
-            if (b[r][col] === 0) {
-                b[r][col] = player;
-                return r;
-            }
+    function noteSearch(move) {
+        if (!replaying) {
+            const { moveEvals, bookSteered, searchDepth, searchNodes } = match;
+            replay.meta.replies.push({ move, moveEvals, bookSteered, searchDepth, searchNodes });
         }
-        return -1;
+        positionsSearched += match.searchNodes;
+        deepestSearch = Math.max(deepestSearch, match.searchDepth);
+        showEvals();
     }
 
-    function undoPiece(b, col) {
-        for (let r = 0; r < ROWS; r++) {
-            if (b[r][col] !== 0) {
-                b[r][col] = 0;
-                return;
+    // --- Searches off the main thread (Web Worker) ---
+
+    const WORKER_URL = 'js/games/connect4-worker.js';
+    const PAINT_MS = 50; // Main-thread searches wait this long so "thinking" shows first
+    let worker = null; // Created on first use; false where workers can't run (e.g. file:// pages)
+    let pendingSearch = null; // {id, task, args, opts, onProgress, done}
+    let searchId = 0;
+
+    function getWorker() {
+        if (worker === null) {
+            try {
+                worker = new Worker(WORKER_URL);
+                worker.onmessage = onWorkerMessage;
+                worker.onerror = (e) => {
+                    // The worker script failed to load or run: search here instead
+                    e.preventDefault();
+                    worker = false;
+                    const search = pendingSearch;
+                    pendingSearch = null;
+                    if (search) runOnMainThread(search);
+                };
+            } catch (e) {
+                worker = false;
             }
         }
+        return worker;
     }
 
-    function checkWin(b, player) {
-        // Horizontal, vertical, diagonal checks
-        const cells = [];
-        for (let r = 0; r < ROWS; r++) {
-            for (let c = 0; c < COLS; c++) {
-                const dirs = [[0, 1], [1, 0], [1, 1], [1, -1]];
-                for (const [dr, dc] of dirs) {
-                    const line = [];
-                    let ok = true;
-                    for (let i = 0; i < 4; i++) {
-                        const nr = r + dr * i, nc = c + dc * i;
-                        if (nr < 0 || nr >= ROWS || nc < 0 || nc >= COLS || b[nr][nc] !== player) {
-                            ok = false;
-                            break;
-                        }
-                        line.push([nr, nc]);
-                    }
-                    if (ok) return line;
-                }
-            }
+    function runSearch(task, args, opts, onProgress, done) {
+        // Calls Connect4Sim[task](...args, opts) without blocking the page.
+        // onProgress gets its progress reports and done(result) the result,
+        // unless the search is cancelled first. One search runs at a time
+        cancelSearch();
+        const search = { id: ++searchId, task, args, opts, onProgress, done };
+        const w = getWorker();
+        if (!w) {
+            setTimeout(() => runOnMainThread(search), PAINT_MS);
+            return;
         }
-        return null;
+        pendingSearch = search;
+        w.postMessage({ id: search.id, task, args, opts });
     }
 
-    function evaluate(b) {
-        // Score the board from AI's perspective
-        let score = 0;
+    function runOnMainThread(search) {
+        if (search.id !== searchId) return; // Cancelled
+        const { task, args, opts, onProgress, done } = search;
+        done(Connect4Sim[task](...args, { ...opts, onProgress }));
+    }
 
-        // Center control bonus (adaptive)
-        for (let r = 0; r < ROWS; r++) {
-            if (b[r][3] === 2) score += 3;
-            if (b[r][3] === 1) score -= 3;
+    function onWorkerMessage(e) {
+        const { id, type, result, ...progress } = e.data;
+        const search = pendingSearch;
+        if (!search || id !== search.id) return; // From a cancelled search
+        if (type === 'progress') {
+            search.onProgress(progress);
+            return;
         }
+        pendingSearch = null;
+        search.done(result);
+    }
 
-        // Evaluate all windows of 4
-        function evalWindow(cells) {
-            let ai = 0, pl = 0, empty = 0;
-            for (const [r, c] of cells) {
-                if (b[r][c] === 2) ai++;
-                else if (b[r][c] === 1) pl++;
-                else empty++;
-            }
-            if (ai === 4) return 10000;
-            if (pl === 4) return -10000;
-            if (ai === 3 && empty === 1) return 50;
-            if (pl === 3 && empty === 1) return -80; // Slightly overweight blocking
-            if (ai === 2 && empty === 2) return 10;
-            if (pl === 2 && empty === 2) return -10;
-            return 0;
+    function cancelSearch() {
+        searchId++;
+        if (pendingSearch && worker) {
+            // A running search can't be interrupted, so the worker goes;
+            // the next search starts a fresh one
+            worker.terminate();
+            worker = null;
         }
+        pendingSearch = null;
+    }
 
-        for (let r = 0; r < ROWS; r++) {
-            for (let c = 0; c < COLS; c++) {
-                const dirs = [[0, 1], [1, 0], [1, 1], [1, -1]];
-                for (const [dr, dc] of dirs) {
-                    const cells = [];
-                    let valid = true;
-                    for (let i = 0; i < 4; i++) {
-                        const nr = r + dr * i, nc = c + dc * i;
-                        if (nr < 0 || nr >= ROWS || nc < 0 || nc >= COLS) { valid = false; break; }
-                        cells.push([nr, nc]);
-                    }
-                    if (valid) score += evalWindow(cells);
-                }
-            }
-        }
+    function searchState() {
+        // The parts of the match a search reads (the worker gets a copy)
+        const { board, moveHistory, model: { variant, openingWeight, openingBook, threatWeights, aiDepth } } = match;
+        return { board, moveHistory, model: { variant, openingWeight, openingBook, threatWeights, aiDepth } };
+    }
 
-        // Apply learned opening weights
-        for (let c = 0; c < COLS; c++) {
-            if (openingWeight[c]) {
-                for (let r = 0; r < ROWS; r++) {
-                    if (b[r][c] === 2) score += openingWeight[c] * 2;
-                }
-            }
-        }
+    function formatEval(v) {
+        // Eval from the player's side; forced results read as words, not huge numbers
+        if (v >= Connect4Sim.WIN_SCORE) return 'you win by force';
+        if (v <= -Connect4Sim.WIN_SCORE) return 'AI wins by force';
+        const val = Math.round(v);
+        return val > 0 ? `+${val}` : `${val}`;
+    }
 
-        return score;
-    }
-
-    function minimax(b, depth, alpha, beta, maximizing) {
-        const aiWin = checkWin(b, 2);
-        const plWin = checkWin(b, 1);
-        if (aiWin) return 100000 + depth;
-        if (plWin) return -100000 - depth;
-        const valid = getValidCols(b);
-        if (valid.length === 0 || depth === 0) return evaluate(b);
-
-        if (maximizing) {
-            let maxEval = -Infinity;
-            for (const col of valid) {
-                dropPiece(b, col, 2);
-                const ev = minimax(b, depth - 1, alpha, beta, false);
-                undoPiece(b, col);
-                maxEval = Math.max(maxEval, ev);
-                alpha = Math.max(alpha, ev);
-                if (beta <= alpha) break;
+    function moveName(move) {
+        return move < COLS ? `column ${move + 1}` : `pop column ${move - COLS + 1}`;
+    }
+
+    function showEvals() {
+        // Format thinking text (C3 drops into column 3, P3 pops it)
+        const { moveEvals } = match;
+        const valid = moveEvals.map((v, m) => (v === null ? -1 : m)).filter(m => m !== -1);
+        const evalStrs = valid.map(m => `${m < COLS ? `C${m + 1}` : `P${m - COLS + 1}`}:${moveEvals[m] > 0 ? '+' : ''}${Math.round(moveEvals[m])}`);
+        thinkingText = `Eval: ${evalStrs.join(' | ')}`;
+    }
+
+    function aiMove() {
+        thinkingText = 'AI thinking';
+        match.moveEvals = Array(COLS).fill(null);
+        const started = Date.now();
+
+        // Evals and depth update on the board as each depth completes
+        runSearch('searchMove', [searchState(), 2], { timeBudget: SEARCH_BUDGET_MS }, progress => {
+            match.moveEvals = progress.evals;
+            match.searchDepth = progress.depth;
+            match.searchNodes = progress.nodes;
+            thinkingText = `AI thinking · depth ${progress.depth}`;
+        }, ({ move, evals, depth, nodes, bookSteered }) => {
+            Object.assign(match, { moveEvals: evals, searchDepth: depth, searchNodes: nodes, bookSteered });
+            noteSearch(move);
+            const id = searchId;
+            setTimeout(() => {
+                if (id !== searchId) return; // Cancelled meanwhile
+                animateMove(move, 2, () => {
+                    if (settleMove(move, 2)) currentPlayer = 1;
+                });
+            }, Math.max(0, MIN_THINK_MS - (Date.now() - started)));
+        });
+    }
+
+    // --- Hints ---
+
+    function hintsEnabled() {
+        return Settings.gameOption(Connect4Game, 'hints') === 'On';
+    }
+
+    function showHintButton() {
+        if (!hintsEnabled()) return;
+        const btn = document.createElement('button');
+        btn.className = 'back-btn c4-hint-btn';
+        btn.textContent = '💡 HINT';
+        btn.title = 'Suggest a move (H)';
+        btn.onclick = requestHint;
+        overlay.appendChild(btn);
+    }
+
+    function requestHint() {
+        // The AI's own search, run for the player's side
+        if (!hintsEnabled() || hint || match.gameOver || currentPlayer !== 1 || dropping) return;
+        hint = { move: -1 }; // Searching
+        hintsUsed++;
+        thinkingText = 'Hint: thinking';
+        runSearch('searchMove', [searchState(), 1], { timeBudget: SEARCH_BUDGET_MS }, progress => {
+            thinkingText = `Hint: thinking · depth ${progress.depth}`;
+        }, ({ move, evals }) => {
+            hint = { move };
+            thinkingText = `Hint: ${moveName(move)} (${formatEval(evals[move])})`;
+            say(`Hint: ${moveName(move)}.`);
+        });
+    }
+
+    // --- Post-game analysis ---
+
+    function startAnalysis() {
+        // Scores every move of the finished game, then steps through them
+        analysis = { plies: null, index: 0 };
+        overlay.innerHTML = `
+            <div class="c4-analysis">
+                <button class="back-btn" id="c4-an-prev" aria-label="Previous move">◀</button>
+                <span class="c4-analysis-label" id="c4-an-label">Analysing…</span>
+                <button class="back-btn" id="c4-an-next" aria-label="Next move">▶</button>
+                <button class="back-btn" id="c4-an-done">DONE</button>
+            </div>
+        `;
+        document.getElementById('c4-an-prev').onclick = () => stepAnalysis(-1);
+        document.getElementById('c4-an-next').onclick = () => stepAnalysis(1);
+        document.getElementById('c4-an-done').onclick = () => {
+            cancelSearch();
+            analysis = null;
+            showEndScreen();
+        };
+        // One search per move, so without a worker the page still gets
+        // control back between them
+        const moves = match.moveHistory;
+        const plies = [];
+        const next = () => {
+            if (plies.length === moves.length) {
+                analysis.plies = plies;
+                showAnalysisLabel();
+                return;
             }
-            return maxEval;
+            document.getElementById('c4-an-label').textContent = `Analysing… ${plies.length}/${moves.length}`;
+            runSearch('analyseMove', [model.variant, moves, plies.length], { timeBudget: ANALYSIS_BUDGET_MS }, () => {}, ply => {
+                plies.push(ply);
+                next();
+            });
+        };
+        next();
+    }
+
+    function stepAnalysis(step) {
+        if (!analysis || !analysis.plies) return;
+        const index = Math.max(0, Math.min(analysis.plies.length, analysis.index + step));
+        if (index === analysis.index) return;
+        analysis.index = index;
+        AudioSystem.click();
+        showAnalysisLabel();
+    }
+
+    function showAnalysisLabel() {
+        const { plies, index } = analysis;
+        let text;
+        if (index === 0) {
+            const blunders = who => plies.filter(p => p.blunder && p.player === who).length;
+            text = `${plies.length} moves · blunders: you ${blunders(1)}, AI ${blunders(2)} · evals are from your side, step with ◀ ▶`;
         } else {
-            let minEval = Infinity;
-            for (const col of valid) {
-                dropPiece(b, col, 1);
-                const ev = minimax(b, depth - 1, alpha, beta, true);
-                undoPiece(b, col);
-                minEval = Math.min(minEval, ev);
-                beta = Math.min(beta, ev);
-                if (beta <= alpha) break;
-            }
-            return minEval;
+            const ply = plies[index - 1];
+            const evalForPlayer = ply.player === 1 ? ply.eval : -ply.eval;
+            text = `Move ${index}/${plies.length} · ${ply.player === 1 ? 'You' : 'AI'}: ${moveName(ply.move)} · eval ${formatEval(evalForPlayer)}`;
+            if (ply.blunder) text += ` · ⚠ BLUNDER, ${moveName(ply.bestMove)} was better`;
         }
+        document.getElementById('c4-an-label').textContent = text;
+        say(text);
     }
 
-    function aiMove() {
-        thinkingText = 'AI thinking...';
-        const valid = getValidCols(board);
-        moveEvals = Array(COLS).fill(null);
-
-        // Use requestAnimationFrame to keep UI responsive
-        setTimeout(() => {
-            let bestCol = valid[0];
-            let bestScore = -Infinity;
-
-            for (const col of valid) {
-                dropPiece(board, col, 2);
-                const score = minimax(board, aiDepth - 1, -Infinity, Infinity, false);
-                undoPiece(board, col);
-                moveEvals[col] = score;
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestCol = col;
-                }
-            }
+    function analysisView() {
+        // The board as it stood after the move being looked at
+        const board = Array.from({ length: ROWS }, () => Array(COLS).fill(0));
+        match.moveHistory.slice(0, analysis.index).forEach((move, i) => {
+            Connect4Sim.applyMove(board, move, i % 2 === 0 ? 1 : 2);
+        });
+        const last = analysis.index === match.moveHistory.length;
+        return { board, gameOver: true, winCells: last ? match.winCells : [], moveEvals: [] };
+    }
 
-            // Format thinking text
-            const evalStrs = valid.map(c => `C${c + 1}:${moveEvals[c] > 0 ? '+' : ''}${Math.round(moveEvals[c])}`);
-            thinkingText = `Eval: ${evalStrs.join(' | ')}`;
-
-            // Drop with animation
-            animateDrop(bestCol, 2, () => {
-                moveHistory.push(bestCol);
-                const win = checkWin(board, 2);
-                if (win) {
-                    gameOver = true;
-                    winner = 2;
-                    winCells = win;
-                    AudioSystem.lose();
-                    endGame();
-                } else if (getValidCols(board).length === 0) {
-                    gameOver = true;
-                    endGame();
-                } else {
-                    currentPlayer = 1;
-                }
-            });
-        }, 300);
+    function drawAnalysisMarks(board) {
+        // Ring the piece just played (the emptied slot for a pop); after a
+        // blunder, point at the best move
+        const ply = analysis.plies[analysis.index - 1];
+        const col = ply.move % COLS;
+        const row = ply.move < COLS ? board.findIndex(r => r[col] !== 0) : ROWS - 1;
+        ctx.strokeStyle = ply.blunder ? Theme.colors.orange : Theme.colors.textPrimary;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(PAD_X + col * CELL + CELL / 2, PAD_Y + row * CELL + CELL / 2, CELL / 2 - 3, 0, Math.PI * 2);
+        ctx.stroke();
+        if (ply.blunder) drawMoveMarker(ply.bestMove, Theme.colors.green, 'BEST');
+    }
+
+    function drawMoveMarker(move, color, label) {
+        // Drops are marked from the top of the column, pops from the bottom
+        if (move < COLS) drawColumnMarker(move, color, `▼ ${label}`);
+        else drawColumnMarker(move - COLS, color, `▲ ${label}`, true);
+    }
+
+    function drawColumnMarker(col, color, label, below = false) {
+        const x = PAD_X + col * CELL;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(x + 2, PAD_Y - 2, CELL - 4, ROWS * CELL + 4);
+        ctx.setLineDash([]);
+        ctx.font = '11px Share Tech Mono';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = color;
+        ctx.fillText(label, x + CELL / 2, below ? PAD_Y + ROWS * CELL + 18 : PAD_Y - 12);
+    }
+
+    function settleMove(move, player) {
+        // Places the landed piece (or pops one); returns false when the game ended
+        const who = player === 1 ? 'You' : 'AI';
+        const row = move < COLS ? Connect4Sim.landingRow(match.board, move) : -1;
+        const ongoing = Connect4Sim.play(match, move, player);
+        say(row === -1 ? `${who}: popped column ${move - COLS + 1}.` : `${who}: column ${move + 1}, row ${ROWS - row}.`);
+        if (ongoing) return true;
+        if (match.winner === 1) AudioSystem.win();
+        else if (match.winner === 2) AudioSystem.lose();
+        const line = `${match.winCells.length === 5 ? 'Five' : 'Four'} in a row`;
+        say(match.winner === 1 ? `${line}. You win!` : (match.winner === 2 ? `${line}. AI wins.` : 'No moves left. Draw.'));
+        endGame();
+        return false;
+    }
+
+    function say(text) {
+        if (!replaying) announce(text);
     }
 
     function animateDrop(col, player, callback) {
-        let targetRow = -1;
-        for (let r = ROWS - 1; r >= 0; r--) {
-            if (board[r][col] === 0) { targetRow = r; break; }
-        }
+        const targetRow = Connect4Sim.landingRow(match.board, col);
         if (targetRow === -1) { callback(); return; }
 
         dropping = { col, player, y: PAD_Y, targetY: PAD_Y + targetRow * CELL + CELL / 2, row: targetRow, speed: 0 };
@@ -256,11 +381,7 @@ const Connect4Game = (() => {
             dropping.y += dropping.speed;
             if (dropping.y >= dropping.targetY) {
                 dropping.y = dropping.targetY;
-                board[targetRow][col] = player;
-                AudioSystem.place();
-                const cx = PAD_X + col * CELL + CELL / 2;
-                const cy = PAD_Y + targetRow * CELL + CELL / 2;
-                particles.emit(cx, cy, 10, player === 1 ? '#00f0ff' : '#ff006e', { speed: 2, life: 15 });
+                landEffects(col, targetRow, player);
                 dropping = null;
                 callback();
                 return;
@@ -270,104 +391,201 @@ const Connect4Game = (() => {
         requestAnimationFrame(dropAnim);
     }
 
-    function playerMove(col) {
-        if (gameOver || currentPlayer !== 1 || dropping) return;
-        if (board[0][col] !== 0) return;
+    function animateMove(move, player, callback) {
+        // Pops take effect at once; settleMove shifts the column down
+        if (move < COLS) {
+            animateDrop(move, player, callback);
+            return;
+        }
+        landEffects(move - COLS, ROWS - 1, player);
+        callback();
+    }
+
+    function landEffects(col, row, player) {
+        AudioSystem.place();
+        const cx = PAD_X + col * CELL + CELL / 2;
+        const cy = PAD_Y + row * CELL + CELL / 2;
+        particles.emit(cx, cy, 10, player === 1 ? Theme.colors.cyan : Theme.colors.pink, { speed: 2, life: 15 });
+    }
+
+    function playerMove(move) {
+        if (match.gameOver || currentPlayer !== 1 || dropping) return;
+        if (move < COLS && match.board[0][move] !== 0) {
+            say(`Column ${move + 1} is full.`);
+            return;
+        }
+        if (move >= COLS && !canPop(move - COLS)) {
+            say(`Column ${move - COLS + 1} has none of your discs at the bottom.`);
+            return;
+        }
 
         AudioSystem.select();
+        if (hint) {
+            cancelSearch(); // In case it is still thinking
+            hint = null;
+            thinkingText = '';
+        }
         currentPlayer = 0; // Lock input
+        Replay.pushMove(replay, move);
 
-        animateDrop(col, 1, () => {
-            moveHistory.push(col);
-            // Track opening patterns
-            if (moveHistory.length <= 6) {
-                const key = moveHistory.filter((_, i) => i % 2 === 0).join(',');
-                playerOpenings[key] = (playerOpenings[key] || 0) + 1;
-            }
-
-            const win = checkWin(board, 1);
-            if (win) {
-                gameOver = true;
-                winner = 1;
-                winCells = win;
-                AudioSystem.win();
-                endGame();
-            } else if (getValidCols(board).length === 0) {
-                gameOver = true;
-                endGame();
-            } else {
+        animateMove(move, 1, () => {
+            if (settleMove(move, 1)) {
                 currentPlayer = 2;
                 aiMove();
             }
         });
     }
 
-    function endGame() {
-        const patterns = [];
-        // Analyze player's column preferences
-        const colCounts = Array(COLS).fill(0);
-        moveHistory.forEach((c, i) => { if (i % 2 === 0) colCounts[c]++; });
-        const total = colCounts.reduce((a, b) => a + b, 0);
-        if (total > 0) {
-            const centerPct = Math.round((colCounts[3] / total) * 100);
-            if (centerPct > 40) patterns.push('Opens center in Connect 4');
-            const leftPct = Math.round(((colCounts[0] + colCounts[1] + colCounts[2]) / total) * 100);
-            if (leftPct > 60) patterns.push('Favors left side in Connect 4');
-            const rightPct = Math.round(((colCounts[4] + colCounts[5] + colCounts[6]) / total) * 100);
-            if (rightPct > 60) patterns.push('Favors right side in Connect 4');
-
-            // Update adaptive weights
-            for (let c = 0; c < COLS; c++) {
-                openingWeight[c] = (openingWeight[c] || 0) + colCounts[c] * 0.5;
-            }
+    function moveCursor(step) {
+        // Keyboard cursor starts in the centre column
+        hoverCol = hoverCol < 0 ? Math.floor(COLS / 2) : Math.max(0, Math.min(COLS - 1, hoverCol + step));
+        const free = Connect4Sim.landingRow(match.board, hoverCol);
+        say(`Column ${hoverCol + 1}${free === -1 ? ', full' : `, ${free + 1} free`}${canPop(hoverCol) ? ', yours at the bottom' : ''}`);
+    }
+
+    function canPop(col) {
+        return popOut && match.board[ROWS - 1][col] === 1;
+    }
+
+    function onBottomRow(y) {
+        return y >= PAD_Y + (ROWS - 1) * CELL && y < PAD_Y + ROWS * CELL;
+    }
+
+    function onAction(action) {
+        if (!running) return;
+        if (analysis) {
+            if (action === 'left') stepAnalysis(-1);
+            else if (action === 'right') stepAnalysis(1);
+            return;
+        }
+        if (action === 'hint') requestHint();
+        else if (action === 'left') moveCursor(-1);
+        else if (action === 'right') moveCursor(1);
+        else if (action === 'drop' || action === 'pop') {
+            if (hoverCol < 0) moveCursor(0);
+            else if (action === 'pop') playerMove(COLS + hoverCol);
+            else playerMove(hoverCol);
         }
+    }
+
+    function drawMarking(cx, cy, radius, player) {
+        // Shape cue so the discs don't differ by colour alone: a ring for
+        // the player, a cross for the AI
+        const r = radius * 0.4;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        if (player === 1) {
+            ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(cx - r, cy - r); ctx.lineTo(cx + r, cy + r);
+            ctx.moveTo(cx + r, cy - r); ctx.lineTo(cx - r, cy + r);
+        }
+        ctx.stroke();
+    }
+
+    // --- Replay driver ---
+
+    function placeInstantly(move, player) {
+        if (move < COLS) landEffects(move, Connect4Sim.landingRow(match.board, move), player);
+        else landEffects(move - COLS, ROWS - 1, player);
+        return settleMove(move, player);
+    }
+
+    function replayDriver(c, record) {
+        // One step = one logged player move plus the AI's recorded reply
+        let move = 0;
+        const reset = () => {
+            init(c, record);
+            canvas.width = W;
+            canvas.height = H;
+            move = 0;
+        };
+        reset();
+        return {
+            steps: record.inputs.length,
+            stepMs: REPLAY_STEP_MS,
+            unit: 'Move',
+            reset,
+            step() {
+                if (match.gameOver || move >= record.inputs.length) return;
+                const reply = record.meta.replies[move];
+                if (placeInstantly(record.inputs[move], 1) && reply) {
+                    const { moveEvals, bookSteered, searchDepth, searchNodes } = reply;
+                    Object.assign(match, { moveEvals: [...moveEvals], bookSteered, searchDepth, searchNodes });
+                    noteSearch(reply.move);
+                    placeInstantly(reply.move, 2);
+                }
+                move++;
+            },
+            render: draw,
+            clearEffects() { particles.clear(); }
+        };
+    }
 
-        const result = winner === 1 ? 'win' : (winner === 2 ? 'loss' : 'draw');
-        PlayerProfile.recordGame('connect4', result, patterns);
+    function endGame() {
+        if (replaying) return; // Replays never touch the profile
+
+        const patterns = Connect4Sim.detectPatterns(match);
+        Connect4Sim.finish(match);
+        PlayerProfile.saveReplay('connect4', replay);
+        PlayerProfile.recordGame('connect4', Connect4Sim.resultOf(match), patterns, {
+            duration: Date.now() - matchStart,
+            score: { moves: match.moveHistory.length },
+            level: { label: 'Depth', value: model.aiDepth },
+            replayId: replay.id
+        });
+        // Only this variant's model changes; the others are kept as stored
+        PlayerProfile.updatePatterns('connect4', Connect4Sim.exportModel(model, PlayerProfile.getGameStats('connect4').patterns));
 
         setTimeout(() => showEndScreen(), 800);
     }
 
     function showEndScreen() {
-        const overlay = document.getElementById('game-ui-overlay');
+        const { winner } = match;
         const msg = winner === 1 ? '🏆 YOU WIN' : (winner === 2 ? '🧠 AI WINS' : '🤝 DRAW');
-        const color = winner === 1 ? '#00f0ff' : (winner === 2 ? '#ff006e' : '#ffe600');
+        const color = winner === 1 ? Theme.colors.cyan : (winner === 2 ? Theme.colors.pink : Theme.colors.yellow);
         overlay.innerHTML = `
             <div class="game-start-overlay">
                 <div class="game-overlay-msg" style="color: ${color}">${msg}</div>
                 <div style="color: var(--text-secondary); font-family: var(--font-mono); font-size: 0.85rem;">
-                    AI Search Depth: ${aiDepth} | States Evaluated: ~${Math.pow(7, aiDepth).toLocaleString()}
+                    AI Search Depth: up to ${deepestSearch} | Positions Searched: ${positionsSearched.toLocaleString()}${hintsUsed ? ` | Hints Used: ${hintsUsed}` : ''}
                 </div>
                 <button class="start-btn" onclick="Connect4Game.restart()">PLAY AGAIN</button>
+                <button class="back-btn" onclick="Connect4Game.analyse()">ANALYSE GAME</button>
+                <button class="back-btn" onclick="App.launchReplay('connect4', '${replay.id}')">WATCH REPLAY</button>
                 <button class="back-btn" onclick="document.getElementById('back-btn').click()">BACK TO ARENA</button>
             </div>
         `;
     }
 
     function draw() {
-        ctx.fillStyle = '#0a0a12';
+        const { board, gameOver, winCells, moveEvals } = analysis ? analysisView() : match;
+        ctx.fillStyle = Theme.colors.field;
         ctx.fillRect(0, 0, W, H);
 
         // When game is over with end screen showing, clear canvas
-        if (gameOver && document.getElementById('game-ui-overlay').querySelector('.game-start-overlay')) {
+        if (gameOver && !replaying && overlay.querySelector('.game-start-overlay')) {
             particles.update();
             particles.draw();
             return;
         }
 
         // Board background
-        ctx.fillStyle = '#111128';
+        ctx.fillStyle = Theme.colors.board;
         ctx.beginPath();
         ctx.roundRect(PAD_X - 5, PAD_Y - 5, COLS * CELL + 10, ROWS * CELL + 10, 12);
         ctx.fill();
 
         // Hover indicator
-        if (hoverCol >= 0 && currentPlayer === 1 && !gameOver && !dropping) {
-            ctx.fillStyle = 'rgba(0, 240, 255, 0.15)';
+        if (hoverCol >= 0 && currentPlayer === 1 && !gameOver && !dropping && hoverPop) {
+            drawColumnMarker(hoverCol, Theme.colors.cyan, '▲ POP', true);
+        } else if (hoverCol >= 0 && currentPlayer === 1 && !gameOver && !dropping) {
+            ctx.fillStyle = Theme.alpha(Theme.colors.cyan, 0.15);
             ctx.fillRect(PAD_X + hoverCol * CELL, PAD_Y, CELL, ROWS * CELL);
 
             // Ghost piece
-            ctx.fillStyle = 'rgba(0, 240, 255, 0.3)';
+            ctx.fillStyle = Theme.alpha(Theme.colors.cyan, 0.3);
             ctx.beginPath();
             ctx.arc(PAD_X + hoverCol * CELL + CELL / 2, PAD_Y / 2, CELL / 2 - 8, 0, Math.PI * 2);
             ctx.fill();
@@ -381,7 +599,7 @@ const Connect4Game = (() => {
                 const radius = CELL / 2 - 6;
 
                 // Empty hole
-                ctx.fillStyle = '#0a0a12';
+                ctx.fillStyle = Theme.colors.field;
                 ctx.beginPath();
                 ctx.arc(cx, cy, radius, 0, Math.PI * 2);
                 ctx.fill();
@@ -389,7 +607,7 @@ const Connect4Game = (() => {
                 // Piece
                 if (board[r][c] !== 0) {
                     const isWin = winCells.some(([wr, wc]) => wr === r && wc === c);
-                    const color = board[r][c] === 1 ? '#00f0ff' : '#ff006e';
+                    const color = board[r][c] === 1 ? Theme.colors.cyan : Theme.colors.pink;
                     ctx.fillStyle = color;
                     if (isWin) {
                         ctx.shadowColor = color;
@@ -399,14 +617,18 @@ const Connect4Game = (() => {
                     ctx.arc(cx, cy, radius, 0, Math.PI * 2);
                     ctx.fill();
                     ctx.shadowBlur = 0;
+                    drawMarking(cx, cy, radius, board[r][c]);
                 }
             }
         }
 
+        if (hint && hint.move >= 0 && !gameOver) drawMoveMarker(hint.move, Theme.colors.yellow, 'HINT');
+        if (analysis && analysis.plies && analysis.index > 0) drawAnalysisMarks(board);
+
         // Dropping animation
         if (dropping) {
             const cx = PAD_X + dropping.col * CELL + CELL / 2;
-            const color = dropping.player === 1 ? '#00f0ff' : '#ff006e';
+            const color = dropping.player === 1 ? Theme.colors.cyan : Theme.colors.pink;
             ctx.fillStyle = color;
             ctx.shadowColor = color;
             ctx.shadowBlur = 10;
@@ -414,17 +636,18 @@ const Connect4Game = (() => {
             ctx.arc(cx, dropping.y, CELL / 2 - 6, 0, Math.PI * 2);
             ctx.fill();
             ctx.shadowBlur = 0;
+            drawMarking(cx, dropping.y, CELL / 2 - 6, dropping.player);
         }
 
         // Thinking text (above eval row)
         if (thinkingText && !gameOver) {
             ctx.font = '11px Share Tech Mono';
             ctx.textAlign = 'center';
-            ctx.fillStyle = '#ffe600';
+            ctx.fillStyle = Theme.colors.yellow;
             ctx.fillText(thinkingText, W / 2, H - 28);
         }
 
-        // Move evaluation display (bottom row)
+        // Move evaluation display (bottom row; drops only, pops are in the thinking text)
         if (moveEvals.length > 0 && !gameOver) {
             ctx.font = '11px Share Tech Mono';
             ctx.textAlign = 'center';
@@ -432,7 +655,7 @@ const Connect4Game = (() => {
                 if (moveEvals[c] !== null) {
                     const cx = PAD_X + c * CELL + CELL / 2;
                     const val = Math.round(moveEvals[c]);
-                    ctx.fillStyle = val > 0 ? '#39ff14' : (val < 0 ? '#ff006e' : '#555');
+                    ctx.fillStyle = val > 0 ? Theme.colors.green : (val < 0 ? Theme.colors.pink : Theme.colors.textDim);
                     ctx.fillText(val > 0 ? `+${val}` : `${val}`, cx, H - 10);
                 }
             }
@@ -448,75 +671,130 @@ const Connect4Game = (() => {
         animFrame = requestAnimationFrame(gameLoop);
     }
 
+    function threatFocus(weights) {
+        // The threat types weighted most, e.g. "diagonal ×1.32, odd row ×1.18"
+        const top = Object.entries(weights).filter(([, w]) => w >= 0.05).sort((a, b) => b[1] - a[1]).slice(0, 2);
+        return top.length ? top.map(([type, w]) => `${type} ×${(1 + w).toFixed(2)}`).join(', ') : 'none yet';
+    }
+
     function getInsights() {
         const stats = PlayerProfile.getGameStats('connect4');
-        return [
-            { label: 'AI Depth', value: `${aiDepth} ply`, color: '#ff006e' },
-            { label: 'Games Learned', value: `${stats.played || 0}`, color: '#b829dd' },
-            { label: 'Move History', value: `${moveHistory.length}`, color: '#00f0ff' },
-            { label: 'Openings Tracked', value: `${Object.keys(playerOpenings).length}`, color: '#39ff14' }
+        const { variant, aiDepth, playerOpenings, openingBook, threatWeights } = model;
+        const { moveHistory, moveEvals, bookSteered, searchDepth, searchNodes } = match;
+        const insights = [
+            { label: 'Variant', value: `${variant} (${Connect4Sim.VARIANTS[variant].desc})`, color: Theme.colors.cyan },
+            { label: 'AI Depth', value: searchDepth ? `${searchDepth}/${aiDepth} ply · ${searchNodes.toLocaleString()} positions` : `${aiDepth} ply`, color: Theme.colors.pink },
+            { label: 'Games Learned', value: `${stats.played || 0}`, color: Theme.colors.purple },
+            { label: 'Move History', value: `${moveHistory.length}`, color: Theme.colors.cyan },
+            { label: 'Openings Tracked', value: `${Object.keys(playerOpenings).length}`, color: Theme.colors.green },
+            { label: 'Opening Book', value: `${openingBook.n} games${bookSteered ? ' · steering' : ''}`, color: Theme.colors.yellow },
+            // Your threat shapes it blocks harder, and its own it plays for because you leave them open
+            { label: 'Blocks First', value: threatFocus(threatWeights.defend), color: Theme.colors.orange },
+            { label: 'Attacks With', value: threatFocus(threatWeights.attack), color: Theme.colors.pink }
         ];
+        if (hintsUsed > 0) insights.push({ label: 'Hints Used', value: `${hintsUsed}`, color: Theme.colors.yellow });
+        if (analysis && analysis.plies) {
+            const blunders = analysis.plies.filter(p => p.blunder);
+            insights.push({ label: 'Blunders', value: `You ${blunders.filter(p => p.player === 1).length} · AI ${blunders.filter(p => p.player === 2).length}`, color: Theme.colors.orange });
+        }
+
+        // What the last search thought of its chosen move
+        let best = -1;
+        moveEvals.forEach((v, m) => {
+            if (v != null && (best === -1 || v > moveEvals[best])) best = m;
+        });
+        if (best !== -1) {
+            const val = Math.round(moveEvals[best]);
+            const name = moveName(best);
+            insights.push({ label: 'AI Best Move', value: `${name[0].toUpperCase()}${name.slice(1)} (${val > 0 ? '+' : ''}${val})`, color: Theme.colors.pink });
+        }
+        return insights;
     }
 
     return {
-        name: 'connect4',
+        id: 'connect4',
         title: 'CONNECT 4',
+        icon: '🔴',
+        aiType: 'Minimax + Adaptive',
+        desc: 'Strategic Connect 4 with minimax AI that adapts its heuristics to your openings.',
+        get color() { return Theme.colors.pink; },
+        stats: { wins: 0, losses: 0 },
+        options: {
+            variant: { label: 'Variant', choices: Object.keys(Connect4Sim.VARIANTS), default: Connect4Sim.DEFAULT_VARIANT },
+            hints: { label: 'Hint button', choices: ['On', 'Off'], default: 'On' }
+        },
+        controls: {
+            left: { label: 'Column left', keys: ['ArrowLeft', 'a'], buttons: [14], axis: [0, -1] },
+            right: { label: 'Column right', keys: ['ArrowRight', 'd'], buttons: [15], axis: [0, 1] },
+            drop: { label: 'Drop piece', keys: ['ArrowDown', 'Enter', ' '], buttons: [0, 13] },
+            pop: { label: 'Pop out (PopOut)', keys: ['ArrowUp', 'p'], buttons: [1, 12] },
+            hint: { label: 'Hint', keys: ['h'], buttons: [3] }
+        },
         init,
-        start(c) {
+        start(c, host) {
+            overlay = host.overlay;
+            announce = host.announce;
             init(c);
             canvas.width = W;
             canvas.height = H;
 
-            const overlay = document.getElementById('game-ui-overlay');
             overlay.innerHTML = `
                 <div class="game-start-overlay">
                     <div style="font-family: var(--font-display); font-size: 1.5rem; color: var(--neon-pink);">CONNECT 4</div>
-                    <div class="start-instruction">Click a column to drop your piece.<br>AI uses Minimax with adaptive heuristics.<br>It learns your opening patterns over time.</div>
+                    <div class="start-instruction">${model.variant}: ${Connect4Sim.VARIANTS[model.variant].desc}.<br>Click a column to drop your piece, or pick one with ← → and drop with ↓ / Enter.${popOut ? '<br>Click one of your bottom discs, or press ↑, to pop it out.' : ''}<br>AI uses Minimax with adaptive heuristics.<br>It learns your opening patterns over time.${hintsEnabled() ? '<br>Stuck? 💡 HINT suggests a column.' : ''}</div>
                     <button class="start-btn" id="c4-start">START</button>
                 </div>
             `;
             document.getElementById('c4-start').onclick = () => {
                 overlay.innerHTML = '';
+                showHintButton();
+                matchStart = Date.now();
                 running = true;
                 AudioSystem.init();
                 gameLoop();
             };
 
-            canvas.onmousemove = (e) => {
-                const rect = canvas.getBoundingClientRect();
-                const scaleX = W / rect.width;
-                const mx = (e.clientX - rect.left) * scaleX;
-                hoverCol = Math.floor((mx - PAD_X) / CELL);
-                if (hoverCol < 0 || hoverCol >= COLS) hoverCol = -1;
-            };
-            canvas.onclick = (e) => {
-                const rect = canvas.getBoundingClientRect();
-                const scaleX = W / rect.width;
-                const mx = (e.clientX - rect.left) * scaleX;
-                const col = Math.floor((mx - PAD_X) / CELL);
-                if (col >= 0 && col < COLS) playerMove(col);
-            };
+            InputManager.attach(Connect4Game, canvas, {
+                onAction,
+                onPointerMove(x, y) {
+                    hoverCol = Math.floor((x - PAD_X) / CELL);
+                    if (hoverCol < 0 || hoverCol >= COLS) hoverCol = -1;
+                    hoverPop = hoverCol >= 0 && onBottomRow(y) && canPop(hoverCol);
+                },
+                onPointerPress(x, y) {
+                    const col = Math.floor((x - PAD_X) / CELL);
+                    if (col < 0 || col >= COLS) return;
+                    playerMove(onBottomRow(y) && canPop(col) ? COLS + col : col);
+                }
+            });
         },
+        replayDriver,
         stop() {
             running = false;
+            dropping = null; // A piece still falling would otherwise start the AI's reply
+            cancelSearch();
             cancelAnimationFrame(animFrame);
-            canvas.onmousemove = null;
-            canvas.onclick = null;
+            InputManager.detach();
         },
         restart() {
             running = false;
+            cancelSearch();
             cancelAnimationFrame(animFrame);
-            document.getElementById('game-ui-overlay').innerHTML = '';
+            overlay.innerHTML = '';
             init(canvas);
+            showHintButton();
             canvas.width = W;
             canvas.height = H;
             running = true;
             gameLoop();
         },
+        analyse: startAnalysis,
         getInsights,
         getStatsBar() {
-            return `<span><span class="stat-label">DEPTH</span> <span class="stat-value">${aiDepth}</span></span>
-                    <span><span class="stat-label">MOVES</span> <span class="stat-value">${moveHistory.length}</span></span>`;
+            return `<span><span class="stat-label">DEPTH</span> <span class="stat-value">${match.searchDepth || model.aiDepth}</span></span>
+                    <span><span class="stat-label">MOVES</span> <span class="stat-value">${match.moveHistory.length}</span></span>`;
         }
     };
 })();
+
+GameRegistry.register(Connect4Game);
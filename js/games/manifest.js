@@ -0,0 +1,13 @@
+/**
+ * NEURAL ARENA — Game Manifest
+ * Scripts for each game, in load order (simulation first). Menu order follows
+ * this list. To add a game, drop its files in and list them here; the module
+ * registers itself with GameRegistry.
+ */
+GameRegistry.load([
+    ['js/sim/pong-sim.js', 'js/games/pong.js'],
+    ['js/sim/connect4-sim.js', 'js/games/connect4.js'],
+    ['js/sim/pattern-duel-sim.js', 'js/games/pattern-duel.js'],
+    ['js/sim/dodge-sim.js', 'js/games/dodge-arena.js'],
+    ['js/sim/memory-sim.js', 'js/games/memory-match.js']
+]);
@@ -8,83 +8,34 @@
  */
 const MemoryMatchGame = (() => {
     let canvas, ctx, particles;
+    let overlay; // host element for start/end screens and controls
+    let announce; // host's screen-reader announcer
     let running = false;
     let animFrame;
 
     const W = 700, H = 500;
 
-    // Card setup
-    const CARD_SYMBOLS = ['🧠', '⚡', '🔥', '💎', '🎯', '🌀', '👁️', '🚀', '🎲', '💫', '🦾', '🌙'];
-    let gridCols, gridRows, totalPairs;
-    let cards; // [{symbol, flipped, matched, x, y, w, h, flipAnim}]
-    let flippedCards; // currently flipped (max 2)
-    let matched;
-    let moves, startTime, elapsed;
-    let gameOver;
-    let difficulty; // 1-5
+    // The deal, rules and recall model live in MemorySim; this module lays
+    // out and animates the cards and wires up input, audio and persistence
+    let model; // recall model plus session difficulty, carried between rounds
+    let match; // the current round
+    let cards; // match.cards decorated with {x, y, w, h, flipAnim}
+    let startTime, elapsed;
     let round;
-
-    // AI Adaptive System
-    let recallModel; // {positionIndex: {seen: N, recalled: N}}
-    let symbolDifficulty; // track which symbols player struggles with
     let pairTimes; // how long to find each pair
-    let consecutiveMatches;
-    let consecutiveMisses;
     let difficultyDirection; // 'harder' | 'easier' | 'stable'
 
     // Animation
     let lockInput;
-    let matchAnim; // {cards, timer}
-    let mismatchAnim;
-
-    function getGridForDifficulty(diff) {
-        switch (diff) {
-            case 1: return { cols: 4, rows: 3 }; // 6 pairs
-            case 2: return { cols: 4, rows: 4 }; // 8 pairs
-            case 3: return { cols: 5, rows: 4 }; // 10 pairs
-            case 4: return { cols: 6, rows: 4 }; // 12 pairs
-            case 5: return { cols: 6, rows: 5 }; // 15 pairs (add 3 more symbols)
-            default: return { cols: 4, rows: 4 };
-        }
-    }
+    let cursor; // card index under the keyboard cursor, -1 until keys are used
 
-    function shuffleArray(arr) {
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [arr[i], arr[j]] = [arr[j], arr[i]];
-        }
-        return arr;
-    }
-
-    function createCards() {
-        const grid = getGridForDifficulty(difficulty);
-        gridCols = grid.cols;
-        gridRows = grid.rows;
-        totalPairs = (gridCols * gridRows) / 2;
-
-        // Select symbols — put harder ones (for this player) in if AI is adapted
-        let selectedSymbols = CARD_SYMBOLS.slice(0, totalPairs);
-
-        // If we have recall data, prefer symbols the player struggled with
-        if (Object.keys(symbolDifficulty).length > 3) {
-            const sorted = Object.entries(symbolDifficulty)
-                .sort(([, a], [, b]) => (a.recalled / Math.max(1, a.seen)) - (b.recalled / Math.max(1, b.seen)));
-            const hardSymbols = sorted.slice(0, Math.ceil(totalPairs / 2)).map(([s]) => s);
-            const available = CARD_SYMBOLS.filter(s => !hardSymbols.includes(s));
-            const easyFill = available.slice(0, totalPairs - hardSymbols.length);
-            selectedSymbols = [...hardSymbols, ...easyFill].slice(0, totalPairs);
-        }
-
-        // Create pairs
-        let symbolPairs = [];
-        for (const sym of selectedSymbols) {
-            symbolPairs.push(sym, sym);
-        }
+    // Replays: one per round, the seeded deal plus the card index of each flip
+    const REPLAY_STEP_MS = 600; // Playback time per flip at 1x
+    let replay = null; // record being written (live) or played back
+    let replaying = false;
 
-        // Smart placement — put harder symbols in positions player recalls poorly
-        symbolPairs = shuffleArray(symbolPairs);
-
-        // Card layout
+    function layoutCards() {
+        const { gridCols, gridRows } = match;
         const padX = 40, padY = 60;
         const availW = W - padX * 2;
         const availH = H - padY * 2;
@@ -95,232 +46,232 @@ const MemoryMatchGame = (() => {
         const offsetX = padX + (availW - gridCols * cardW - (gridCols - 1) * gapX) / 2;
         const offsetY = padY + (availH - gridRows * cardH - (gridRows - 1) * gapY) / 2;
 
-        cards = [];
-        for (let r = 0; r < gridRows; r++) {
-            for (let c = 0; c < gridCols; c++) {
-                const idx = r * gridCols + c;
-                cards.push({
-                    symbol: symbolPairs[idx],
-                    flipped: false,
-                    matched: false,
-                    x: offsetX + c * (cardW + gapX),
-                    y: offsetY + r * (cardH + gapY),
-                    w: cardW,
-                    h: cardH,
-                    flipAnim: 0, // 0=face down, 1=face up, animates between
-                    index: idx
-                });
-            }
+        cards = match.cards;
+        for (const card of cards) {
+            const r = Math.floor(card.index / gridCols), c = card.index % gridCols;
+            Object.assign(card, {
+                x: offsetX + c * (cardW + gapX),
+                y: offsetY + r * (cardH + gapY),
+                w: cardW,
+                h: cardH,
+                flipAnim: 0 // 0=face down, 1=face up, animates between
+            });
         }
     }
 
-    function init(c) {
+    function init(c, record = null) {
         canvas = c;
         ctx = canvas.getContext('2d');
         particles = new ParticleSystem(ctx);
 
-        difficulty = 2;
         round = 0;
-
-        // Load learned data
-        const stats = PlayerProfile.getGameStats('memoryMatch');
-        if (stats.played > 2) {
-            difficulty = Math.min(5, 2 + Math.floor(stats.played / 3));
-        }
-
-        recallModel = {};
-        symbolDifficulty = {};
         pairTimes = [];
-        consecutiveMatches = 0;
-        consecutiveMisses = 0;
         difficultyDirection = 'stable';
+        replaying = !!record;
+        replay = record;
+
+        if (replaying) {
+            model = MemorySim.loadModel(record.model);
+        } else {
+            // Load learned data
+            const stats = PlayerProfile.getGameStats('memoryMatch');
+            model = MemorySim.loadModel(stats.patterns || {});
+            MemorySim.startSession(model, stats.played || 0);
+        }
 
         resetRound();
     }
 
     function resetRound() {
         round++;
-        flippedCards = [];
-        matched = 0;
-        moves = 0;
         startTime = Date.now();
         elapsed = 0;
-        gameOver = false;
         lockInput = false;
-        matchAnim = null;
-        mismatchAnim = null;
-        createCards();
+        cursor = -1;
+        let rng;
+        if (replaying) {
+            rng = SeededRandom.create(replay.seed);
+        } else {
+            rng = SeededRandom.create(SeededRandom.newSeed());
+            replay = Replay.create('memoryMatch', rng.seed, model);
+        }
+        match = MemorySim.createRound(model, rng);
+        layoutCards();
 
         // Brief peek at cards for harder difficulties
-        if (difficulty <= 2) {
+        const { difficulty } = model;
+        if (difficulty <= 2 && !replaying) {
             // Show all cards briefly
             cards.forEach(c => c.flipAnim = 1);
             lockInput = true;
             setTimeout(() => {
-                cards.forEach(c => { if (!c.matched) c.flipAnim = 0; });
+                cards.forEach(c => { if (!c.matched && !c.flipped) c.flipAnim = 0; });
                 lockInput = false;
             }, 1500 - difficulty * 200);
         }
     }
 
     function handleClick(mx, my) {
-        if (lockInput || gameOver) return;
-        if (flippedCards.length >= 2) return;
-
-        for (const card of cards) {
-            if (mx >= card.x && mx <= card.x + card.w &&
-                my >= card.y && my <= card.y + card.h) {
-                if (card.flipped || card.matched) return;
-
-                card.flipped = true;
-                card.flipAnim = 1;
-                flippedCards.push(card);
-                AudioSystem.flip();
-
-                // Track that player has seen this position
-                if (!recallModel[card.index]) recallModel[card.index] = { seen: 0, recalled: 0 };
-                recallModel[card.index].seen++;
-
-                if (flippedCards.length === 2) {
-                    moves++;
-                    checkMatch();
-                }
-                return;
-            }
-        }
+        const card = cards.find(c => mx >= c.x && mx <= c.x + c.w && my >= c.y && my <= c.y + c.h);
+        if (card) chooseCard(card);
     }
 
-    function checkMatch() {
-        lockInput = true;
-        const [a, b] = flippedCards;
-
-        if (a.symbol === b.symbol) {
-            // Match!
-            setTimeout(() => {
-                a.matched = true;
-                b.matched = true;
-                matched++;
-                AudioSystem.match();
-
-                // Track recall success
-                if (recallModel[a.index]) recallModel[a.index].recalled++;
-                if (recallModel[b.index]) recallModel[b.index].recalled++;
-
-                // Track symbol difficulty
-                if (!symbolDifficulty[a.symbol]) symbolDifficulty[a.symbol] = { seen: 0, recalled: 0 };
-                symbolDifficulty[a.symbol].recalled++;
-                symbolDifficulty[a.symbol].seen++;
-
-                consecutiveMatches++;
-                consecutiveMisses = 0;
-
-                particles.emit(
-                    (a.x + b.x) / 2 + a.w / 2,
-                    (a.y + b.y) / 2 + a.h / 2,
-                    15, '#39ff14', { speed: 3, life: 25 }
-                );
+    function chooseCard(card) {
+        if (lockInput || match.gameOver) return;
+        if (match.flippedCards.length >= 2) return;
+        if (card.flipped || card.matched) return;
 
-                pairTimes.push(Date.now() - startTime);
+        Replay.pushMove(replay, card.index);
+        flipCard(card);
+        say(card.symbol);
+        if (match.flippedCards.length === 2) checkMatch();
+    }
 
-                flippedCards = [];
-                lockInput = false;
+    function describeCard(card) {
+        const r = Math.floor(card.index / match.gridCols) + 1, c = card.index % match.gridCols + 1;
+        const face = card.matched ? `${card.symbol}, matched` : (card.flipped ? card.symbol : 'face down');
+        return `Row ${r}, column ${c}: ${face}`;
+    }
 
-                // Check win
-                if (matched >= totalPairs) {
-                    gameOver = true;
-                    elapsed = Date.now() - startTime;
-                    AudioSystem.win();
-
-                    // Adapt difficulty
-                    const avgMovesPer = moves / totalPairs;
-                    if (avgMovesPer < 2.5 && consecutiveMatches > 3) {
-                        difficultyDirection = 'harder';
-                        difficulty = Math.min(5, difficulty + 1);
-                    } else if (avgMovesPer > 4) {
-                        difficultyDirection = 'easier';
-                        difficulty = Math.max(1, difficulty - 1);
-                    } else {
-                        difficultyDirection = 'stable';
-                    }
-
-                    endGame();
-                }
-            }, 300);
+    function onAction(action) {
+        if (!running || match.gameOver) return;
+        const { gridCols } = match;
+        if (cursor < 0) {
+            cursor = 0; // First key press just shows the cursor
+        } else if (action === 'flip') {
+            chooseCard(cards[cursor]);
+            return;
         } else {
-            // Mismatch
-            setTimeout(() => {
-                a.flipped = false;
-                a.flipAnim = 0;
-                b.flipped = false;
-                b.flipAnim = 0;
-                AudioSystem.wrong();
-
-                // Track symbol difficulty (miss)
-                if (!symbolDifficulty[a.symbol]) symbolDifficulty[a.symbol] = { seen: 0, recalled: 0 };
-                if (!symbolDifficulty[b.symbol]) symbolDifficulty[b.symbol] = { seen: 0, recalled: 0 };
-                symbolDifficulty[a.symbol].seen++;
-                symbolDifficulty[b.symbol].seen++;
-
-                consecutiveMisses++;
-                consecutiveMatches = 0;
-
-                flippedCards = [];
-                lockInput = false;
-            }, 700);
+            const r = Math.floor(cursor / gridCols), c = cursor % gridCols;
+            const moves = { left: [0, -1], right: [0, 1], up: [-1, 0], down: [1, 0] };
+            const [dr, dc] = moves[action];
+            const nr = r + dr, nc = c + dc;
+            if (nr >= 0 && nc >= 0 && nc < gridCols && nr * gridCols + nc < cards.length) cursor = nr * gridCols + nc;
         }
+        say(describeCard(cards[cursor]));
     }
 
-    function endGame() {
-        const patterns = [];
-        const efficiency = totalPairs > 0 ? (totalPairs / moves * 100) : 0;
+    function say(text) {
+        if (!replaying) announce(text);
+    }
 
-        if (efficiency > 70) patterns.push('Excellent memory recall');
-        else if (efficiency < 40) patterns.push('Struggles with memory pairs');
+    function flipCard(card) {
+        MemorySim.flipCard(match, card.index);
+        card.flipAnim = 1;
+        AudioSystem.flip();
+    }
+
+    function checkMatch() {
+        lockInput = true;
+        const [a, b] = match.flippedCards;
+        // Let the player see both cards before resolving
+        setTimeout(resolvePair, a.symbol === b.symbol ? 300 : 700);
+    }
 
-        if (consecutiveMatches > 4) patterns.push('Goes on match streaks');
+    function resolvePair() {
+        const [a, b] = match.flippedCards;
+        lockInput = false;
 
-        // Check which symbols were hardest
-        const hardest = Object.entries(symbolDifficulty)
-            .filter(([, v]) => v.seen > 1)
-            .sort(([, a], [, b]) => (a.recalled / a.seen) - (b.recalled / b.seen));
-        if (hardest.length > 0) {
-            patterns.push(`Struggles with ${hardest[0][0]} pairs`);
+        if (!MemorySim.resolvePair(match)) {
+            a.flipAnim = 0;
+            b.flipAnim = 0;
+            AudioSystem.wrong();
+            say('No match.');
+            return;
         }
 
-        PlayerProfile.recordGame('memoryMatch', 'win', patterns);
+        AudioSystem.match();
+        say(`Match! ${match.matched} of ${match.totalPairs} pairs.`);
+        particles.emit(
+            (a.x + b.x) / 2 + a.w / 2,
+            (a.y + b.y) / 2 + a.h / 2,
+            15, Theme.colors.green, { speed: 3, life: 25 }
+        );
+        pairTimes.push(Date.now() - startTime);
+
+        // Check win
+        if (match.gameOver) {
+            elapsed = Date.now() - startTime;
+            difficultyDirection = match.difficultyDirection;
+            AudioSystem.win();
+            say(`Round complete in ${match.moves} moves. Next round: ${difficultyDirection === 'stable' ? 'same difficulty' : difficultyDirection}.`);
+            endGame();
+        }
+    }
+
+    function replayDriver(c, record) {
+        // One step = one flip, plus a step to resolve each flipped pair
+        let move = 0;
+        const reset = () => {
+            init(c, record);
+            canvas.width = W;
+            canvas.height = H;
+            move = 0;
+        };
+        reset();
+        return {
+            steps: record.inputs.length * 1.5,
+            stepMs: REPLAY_STEP_MS,
+            unit: 'Step',
+            reset,
+            step() {
+                if (match.flippedCards.length === 2) resolvePair();
+                else if (move < record.inputs.length) flipCard(cards[record.inputs[move++]]);
+            },
+            render: draw,
+            clearEffects() { particles.clear(); }
+        };
+    }
+
+    function endGame() {
+        if (replaying) return; // Replays never touch the profile
+
+        const { moves, totalPairs, roundDifficulty } = match;
+        PlayerProfile.saveReplay('memoryMatch', replay);
+        PlayerProfile.recordGame('memoryMatch', 'win', MemorySim.detectPatterns(match), {
+            duration: elapsed,
+            score: { moves, pairs: totalPairs },
+            level: { label: 'Difficulty', value: `${roundDifficulty}/5` },
+            replayId: replay.id
+        });
         PlayerProfile.updatePatterns('memoryMatch', {
-            lastDifficulty: difficulty,
+            lastDifficulty: model.difficulty,
             lastMoves: moves,
             lastTime: elapsed,
-            direction: difficultyDirection
+            direction: difficultyDirection,
+            ...MemorySim.exportModel(model)
         });
 
         setTimeout(() => showEndScreen(), 500);
     }
 
     function showEndScreen() {
-        const overlay = document.getElementById('game-ui-overlay');
+        const { moves, totalPairs } = match;
+        const { difficulty } = model;
         const timeStr = (elapsed / 1000).toFixed(1);
         const efficiency = Math.round(totalPairs / moves * 100);
         const dirIcon = difficultyDirection === 'harder' ? '📈' : (difficultyDirection === 'easier' ? '📉' : '➡️');
         overlay.innerHTML = `
             <div class="game-start-overlay">
-                <div class="game-overlay-msg" style="color: #39ff14">🧠 COMPLETE!</div>
+                <div class="game-overlay-msg" style="color: var(--neon-green)">🧠 COMPLETE!</div>
                 <div style="color: var(--text-secondary); font-family: var(--font-mono); font-size: 0.85rem; text-align: center; line-height: 1.6;">
                     ${moves} moves | ${timeStr}s | ${efficiency}% efficiency<br>
                     Difficulty: ${difficulty}/5 ${dirIcon} Next: ${difficultyDirection}
                 </div>
                 <button class="start-btn" onclick="MemoryMatchGame.restart()">NEXT ROUND</button>
+                <button class="back-btn" onclick="App.launchReplay('memoryMatch', '${replay.id}')">WATCH REPLAY</button>
                 <button class="back-btn" onclick="document.getElementById('back-btn').click()">BACK TO ARENA</button>
             </div>
         `;
     }
 
     function draw() {
-        ctx.fillStyle = '#0a0a12';
+        const { gameOver, moves, matched, totalPairs } = match;
+        const { difficulty } = model;
+        ctx.fillStyle = Theme.colors.field;
         ctx.fillRect(0, 0, W, H);
 
-        if (gameOver && document.getElementById('game-ui-overlay').querySelector('.game-start-overlay')) {
+        if (gameOver && !replaying && overlay.querySelector('.game-start-overlay')) {
             particles.update();
             particles.draw();
             return;
@@ -329,24 +280,24 @@ const MemoryMatchGame = (() => {
         // Header
         ctx.font = '13px Share Tech Mono';
         ctx.textAlign = 'left';
-        ctx.fillStyle = '#555570';
+        ctx.fillStyle = Theme.colors.textDim;
         ctx.fillText(`DIFFICULTY ${difficulty}/5`, 15, 22);
         ctx.fillText(`ROUND ${round}`, 15, 38);
         ctx.textAlign = 'right';
-        ctx.fillStyle = '#00f0ff';
+        ctx.fillStyle = Theme.colors.cyan;
         ctx.fillText(`MOVES: ${moves}`, W - 15, 22);
-        if (!gameOver) {
+        if (!gameOver && !replaying) { // Wall-clock time means nothing in a replay
             const t = ((Date.now() - startTime) / 1000).toFixed(0);
-            ctx.fillStyle = '#ffe600';
+            ctx.fillStyle = Theme.colors.yellow;
             ctx.fillText(`${t}s`, W - 15, 38);
         }
         ctx.textAlign = 'center';
-        ctx.fillStyle = '#555570';
+        ctx.fillStyle = Theme.colors.textDim;
         ctx.fillText(`${matched}/${totalPairs} PAIRS`, W / 2, 22);
 
         // Difficulty direction indicator
         if (difficultyDirection !== 'stable') {
-            ctx.fillStyle = difficultyDirection === 'harder' ? '#ff006e' : '#39ff14';
+            ctx.fillStyle = difficultyDirection === 'harder' ? Theme.colors.pink : Theme.colors.green;
             ctx.fillText(
                 difficultyDirection === 'harder' ? 'AI: INCREASING DIFFICULTY' : 'AI: EASING UP',
                 W / 2, 42
@@ -359,13 +310,13 @@ const MemoryMatchGame = (() => {
 
             // Card background
             if (card.matched) {
-                ctx.fillStyle = 'rgba(57, 255, 20, 0.1)';
-                ctx.strokeStyle = 'rgba(57, 255, 20, 0.3)';
+                ctx.fillStyle = Theme.alpha(Theme.colors.green, 0.1);
+                ctx.strokeStyle = Theme.alpha(Theme.colors.green, 0.3);
             } else if (isFlipped) {
-                ctx.fillStyle = '#1a1a2e';
-                ctx.strokeStyle = '#00f0ff';
+                ctx.fillStyle = Theme.colors.bgCard;
+                ctx.strokeStyle = Theme.colors.cyan;
             } else {
-                ctx.fillStyle = '#1a1a2e';
+                ctx.fillStyle = Theme.colors.bgCard;
                 ctx.strokeStyle = 'rgba(255,255,255,0.08)';
             }
 
@@ -384,11 +335,11 @@ const MemoryMatchGame = (() => {
                 ctx.fillText(card.symbol, card.x + card.w / 2, card.y + card.h / 2);
             } else {
                 // Card back pattern
-                ctx.fillStyle = 'rgba(184, 41, 221, 0.15)';
+                ctx.fillStyle = Theme.alpha(Theme.colors.purple, 0.15);
                 ctx.beginPath();
                 ctx.arc(card.x + card.w / 2, card.y + card.h / 2, card.w * 0.2, 0, Math.PI * 2);
                 ctx.fill();
-                ctx.fillStyle = 'rgba(184, 41, 221, 0.08)';
+                ctx.fillStyle = Theme.alpha(Theme.colors.purple, 0.08);
                 ctx.beginPath();
                 ctx.arc(card.x + card.w / 2, card.y + card.h / 2, card.w * 0.35, 0, Math.PI * 2);
                 ctx.fill();
@@ -396,11 +347,21 @@ const MemoryMatchGame = (() => {
         }
         ctx.textBaseline = 'alphabetic';
 
+        // Keyboard cursor
+        if (cursor >= 0 && !gameOver) {
+            const card = cards[cursor];
+            ctx.strokeStyle = Theme.colors.yellow;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.roundRect(card.x - 4, card.y - 4, card.w + 8, card.h + 8, 10);
+            ctx.stroke();
+        }
+
         // Progress bar
         const pct = matched / totalPairs;
         ctx.fillStyle = 'rgba(255,255,255,0.08)';
         ctx.fillRect(0, H - 4, W, 4);
-        ctx.fillStyle = '#39ff14';
+        ctx.fillStyle = Theme.colors.green;
         ctx.fillRect(0, H - 4, W * pct, 4);
 
         particles.update();
@@ -414,51 +375,64 @@ const MemoryMatchGame = (() => {
     }
 
     function getInsights() {
+        const { moves, matched, totalPairs } = match;
+        const { difficulty } = model;
         const insights = [
-            { label: 'Difficulty', value: `${difficulty}/5`, color: '#b829dd' },
-            { label: 'Moves', value: `${moves}`, color: '#00f0ff' },
-            { label: 'Pairs Found', value: `${matched}/${totalPairs}`, bar: matched / Math.max(1, totalPairs), color: '#39ff14' },
+            { label: 'Difficulty', value: `${difficulty}/5`, color: Theme.colors.purple },
+            { label: 'Moves', value: `${moves}`, color: Theme.colors.cyan },
+            { label: 'Pairs Found', value: `${matched}/${totalPairs}`, bar: matched / Math.max(1, totalPairs), color: Theme.colors.green },
         ];
 
         if (moves > 0) {
             const eff = Math.round(matched / moves * 100);
-            insights.push({ label: 'Efficiency', value: `${eff}%`, bar: eff / 100, color: '#ffe600' });
+            insights.push({ label: 'Efficiency', value: `${eff}%`, bar: eff / 100, color: Theme.colors.yellow });
         }
 
         if (difficultyDirection !== 'stable') {
             insights.push({
                 label: 'AI Adapting',
                 value: difficultyDirection === 'harder' ? '📈 Harder' : '📉 Easier',
-                color: '#ff006e'
+                color: Theme.colors.pink
             });
         }
 
         // Hardest symbol
-        const hardest = Object.entries(symbolDifficulty)
-            .filter(([, v]) => v.seen > 1)
-            .sort(([, a], [, b]) => (a.recalled / a.seen) - (b.recalled / b.seen));
+        const hardest = MemorySim.hardestSymbols(model);
         if (hardest.length > 0) {
-            insights.push({ label: 'Your Weakest', value: hardest[0][0], color: '#ff6b35' });
+            insights.push({ label: 'Your Weakest', value: hardest[0], color: Theme.colors.orange, announce: true });
         }
 
         return insights;
     }
 
     return {
-        name: 'memoryMatch',
+        id: 'memoryMatch',
         title: 'MEMORY MATCH',
+        icon: '🧠',
+        aiType: 'Recall Modeling',
+        desc: 'Match card pairs while the AI adapts difficulty based on your recall patterns.',
+        get color() { return Theme.colors.green; },
+        stats: { wins: 0, bestTime: null },
+        controls: {
+            left: { label: 'Cursor left', keys: ['ArrowLeft', 'a'], buttons: [14], axis: [0, -1] },
+            right: { label: 'Cursor right', keys: ['ArrowRight', 'd'], buttons: [15], axis: [0, 1] },
+            up: { label: 'Cursor up', keys: ['ArrowUp', 'w'], buttons: [12], axis: [1, -1] },
+            down: { label: 'Cursor down', keys: ['ArrowDown', 's'], buttons: [13], axis: [1, 1] },
+            flip: { label: 'Flip card', keys: ['Enter', ' '], buttons: [0] }
+        },
         init,
-        start(c) {
+        start(c, host) {
+            overlay = host.overlay;
+            announce = host.announce;
             init(c);
             canvas.width = W;
             canvas.height = H;
 
-            const overlay = document.getElementById('game-ui-overlay');
             overlay.innerHTML = `
                 <div class="game-start-overlay">
                     <div style="font-family: var(--font-display); font-size: 1.5rem; color: var(--neon-green);">MEMORY MATCH</div>
                     <div class="start-instruction">
-                        Click cards to flip them and find matching pairs.<br>
+                        Click cards to flip them and find matching pairs (or move with the arrow keys and flip with Enter).<br>
                         The AI tracks which symbols and positions you struggle with,<br>
                         and adapts difficulty each round.
                     </div>
@@ -472,24 +446,18 @@ const MemoryMatchGame = (() => {
                 gameLoop();
             };
 
-            canvas.onclick = (e) => {
-                const rect = canvas.getBoundingClientRect();
-                const scaleX = W / rect.width;
-                const scaleY = H / rect.height;
-                const mx = (e.clientX - rect.left) * scaleX;
-                const my = (e.clientY - rect.top) * scaleY;
-                handleClick(mx, my);
-            };
+            InputManager.attach(MemoryMatchGame, canvas, { onAction, onPointerPress: handleClick });
         },
+        replayDriver,
         stop() {
             running = false;
             cancelAnimationFrame(animFrame);
-            canvas.onclick = null;
+            InputManager.detach();
         },
         restart() {
             running = false;
             cancelAnimationFrame(animFrame);
-            document.getElementById('game-ui-overlay').innerHTML = '';
+            overlay.innerHTML = '';
             // Keep difficulty and learned data, just reset round
             resetRound();
             canvas.width = W;
@@ -499,9 +467,12 @@ const MemoryMatchGame = (() => {
         },
         getInsights,
         getStatsBar() {
-            return `<span><span class="stat-label">DIFF</span> <span class="stat-value">${difficulty}/5</span></span>
+            const { moves, matched, totalPairs } = match;
+            return `<span><span class="stat-label">DIFF</span> <span class="stat-value">${model.difficulty}/5</span></span>
                     <span><span class="stat-label">MOVES</span> <span class="stat-value">${moves}</span></span>
                     <span><span class="stat-label">PAIRS</span> <span class="stat-value">${matched}/${totalPairs}</span></span>`;
         }
     };
 })();
+
+GameRegistry.register(MemoryMatchGame);
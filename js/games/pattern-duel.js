@@ -8,260 +8,170 @@
  */
 const PatternDuelGame = (() => {
     let canvas, ctx, particles;
+    let overlay; // host element for start/end screens and controls
+    let announce; // host's screen-reader announcer
     let running = false;
     let animFrame;
 
     const W = 700, H = 500;
 
-    // Symbols: each beats the two after it (circular)
-    const SYMBOLS = [
-        { id: 0, icon: '🔥', name: 'FIRE',    color: '#ff6b35', beats: [2, 3] },
-        { id: 1, icon: '💧', name: 'WATER',   color: '#00b4d8', beats: [0, 4] },
-        { id: 2, icon: '🌿', name: 'NATURE',  color: '#39ff14', beats: [1, 3] },
-        { id: 3, icon: '⚡', name: 'THUNDER', color: '#ffe600', beats: [1, 4] },
-        { id: 4, icon: '🪨', name: 'STONE',   color: '#b829dd', beats: [0, 2] }
+    // Rules and the Markov predictor live in PatternDuelSim; this module adds
+    // the look of each symbol, timing, audio and persistence
+    const LOOKS = [
+        { icon: '🔥', color: '#ff6b35' },
+        { icon: '💧', color: '#00b4d8' },
+        { icon: '🌿', color: '#39ff14' },
+        { icon: '⚡', color: '#ffe600' },
+        { icon: '🪨', color: '#b829dd' }
     ];
+    const SYMBOLS = PatternDuelSim.SYMBOLS.map((sym, i) => ({ ...sym, ...LOOKS[i] }));
 
-    let playerScore, aiScore, draws, round, maxRounds;
-    let gameOver;
-    let playerHistory, aiHistory, resultHistory;
-    let lastPlayerChoice, lastAIChoice, lastResult;
+    let model; // Markov chain, carried between matches
+    let match;
     let showResult, resultTimer;
-    let aiPrediction; // what AI predicted player would choose
-    let predictionAccuracy; // rolling accuracy
+    let matchStart;
+    let endScreenTimer = null; // Pending end screen, dropped when the match is left or replaced
 
-    // Markov chain: maps n-gram keys to frequency of next choice
-    // e.g. markov["0,1"] = {0: 3, 1: 1, 2: 5, 3: 0, 4: 2}
-    const markov = {};
-    const MAX_ORDER = 4; // up to 4-gram
+    // Replays: seeded fallback picks plus the player's choice each round
+    const REPLAY_STEP_MS = 1200; // Playback time per round at 1x
+    let replay = null; // record being written (live) or played back
+    let replaying = false;
 
-    // Pattern detection
-    let detectedPatterns = [];
-    let streaks = { player: 0, ai: 0 };
-
-    function init(c) {
+    function init(c, record = null) {
+        clearTimeout(endScreenTimer);
         canvas = c;
         ctx = canvas.getContext('2d');
         particles = new ParticleSystem(ctx);
-        playerScore = 0;
-        aiScore = 0;
-        draws = 0;
-        round = 0;
-        maxRounds = 25;
-        gameOver = false;
-        playerHistory = [];
-        aiHistory = [];
-        resultHistory = [];
-        lastPlayerChoice = -1;
-        lastAIChoice = -1;
-        lastResult = '';
         showResult = false;
         resultTimer = 0;
-        aiPrediction = -1;
-        predictionAccuracy = 0;
-        detectedPatterns = [];
-        streaks = { player: 0, ai: 0 };
-    }
-
-    function updateMarkov(choice) {
-        // Update all n-gram orders
-        for (let order = 1; order <= MAX_ORDER; order++) {
-            if (playerHistory.length >= order) {
-                const key = playerHistory.slice(-order).join(',');
-                if (!markov[key]) markov[key] = {};
-                markov[key][choice] = (markov[key][choice] || 0) + 1;
-            }
-        }
-    }
-
-    function predictPlayer() {
-        // Weighted prediction from highest order to lowest
-        let prediction = -1;
-        let bestConfidence = 0;
-
-        for (let order = MAX_ORDER; order >= 1; order--) {
-            if (playerHistory.length < order) continue;
-            const key = playerHistory.slice(-order).join(',');
-            const transitions = markov[key];
-            if (!transitions) continue;
-
-            const total = Object.values(transitions).reduce((a, b) => a + b, 0);
-            if (total < 2) continue; // Need enough data
-
-            let bestChoice = -1, bestCount = 0;
-            for (const [choice, count] of Object.entries(transitions)) {
-                if (count > bestCount) {
-                    bestCount = count;
-                    bestChoice = parseInt(choice);
-                }
-            }
-
-            const confidence = (bestCount / total) * (1 + order * 0.3); // Higher order = more weight
-            if (confidence > bestConfidence) {
-                bestConfidence = confidence;
-                prediction = bestChoice;
-            }
+        matchStart = Date.now();
+        replaying = !!record;
+        let rng, maxRounds;
+        if (replaying) {
+            replay = record;
+            model = PatternDuelSim.loadModel(record.model);
+            rng = SeededRandom.create(record.seed);
+            maxRounds = record.meta?.maxRounds || PatternDuelSim.MAX_ROUNDS;
+        } else {
+            model = PatternDuelSim.loadModel(PlayerProfile.getGameStats('patternDuel').patterns || {});
+            rng = SeededRandom.create(SeededRandom.newSeed());
+            maxRounds = Settings.gameOption(PatternDuelGame, 'maxRounds');
+            replay = Replay.create('patternDuel', rng.seed, model, { maxRounds });
         }
-
-        return prediction;
+        match = PatternDuelSim.createMatch(model, rng, maxRounds);
     }
 
-    function chooseCounter(predictedPlayer) {
-        if (predictedPlayer === -1) {
-            // Random if no prediction
-            return Math.floor(Math.random() * 5);
-        }
-        // Find a symbol that beats the predicted choice
-        for (let i = 0; i < 5; i++) {
-            if (SYMBOLS[i].beats.includes(predictedPlayer)) return i;
-        }
-        return Math.floor(Math.random() * 5);
-    }
+    // --- Markov persistence ---
 
-    function getResult(player, ai) {
-        if (player === ai) return 'draw';
-        if (SYMBOLS[player].beats.includes(ai)) return 'win';
-        return 'loss';
+    function saveModel() {
+        PlayerProfile.updatePatterns('patternDuel', PatternDuelSim.exportModel(model));
     }
 
     function playerChoose(choice) {
-        if (gameOver || showResult) return;
-        round++;
+        if (match.gameOver || showResult) return;
+        if (!replaying) Replay.pushMove(replay, choice);
         AudioSystem.select();
 
-        // AI makes prediction and chooses counter
-        aiPrediction = predictPlayer();
-        const aiChoice = chooseCounter(aiPrediction);
-
-        // Update markov BEFORE adding to history
-        updateMarkov(choice);
-        playerHistory.push(choice);
-        aiHistory.push(aiChoice);
-
-        const result = getResult(choice, aiChoice);
-        resultHistory.push(result);
-
-        if (result === 'win') {
-            playerScore++;
-            streaks.player++;
-            streaks.ai = 0;
-            AudioSystem.score();
-        } else if (result === 'loss') {
-            aiScore++;
-            streaks.ai++;
-            streaks.player = 0;
-            AudioSystem.wrong();
-        } else {
-            draws++;
-            streaks.player = 0;
-            streaks.ai = 0;
-            AudioSystem.hit();
-        }
-
-        // Track prediction accuracy
-        if (aiPrediction === choice && aiPrediction !== -1) {
-            predictionAccuracy++;
-        }
+        const result = PatternDuelSim.playRound(match, choice);
+        if (result === 'win') AudioSystem.score();
+        else if (result === 'loss') AudioSystem.wrong();
+        else AudioSystem.hit();
 
-        lastPlayerChoice = choice;
-        lastAIChoice = aiChoice;
-        lastResult = result;
         showResult = true;
         resultTimer = 90; // frames to show result
-
-        // Detect patterns
-        detectPatterns();
+        const outcome = result === 'win' ? 'you win the round' : (result === 'loss' ? 'AI wins the round' : 'draw');
+        say(`${SYMBOLS[choice].name} against ${SYMBOLS[match.lastAIChoice].name}: ${outcome}. You ${match.playerScore}, AI ${match.aiScore}.`);
 
         // Emit particles
         const cx = W / 2, cy = H / 2 - 30;
-        const color = result === 'win' ? '#00f0ff' : (result === 'loss' ? '#ff006e' : '#ffe600');
+        const color = result === 'win' ? Theme.colors.cyan : (result === 'loss' ? Theme.colors.pink : Theme.colors.yellow);
         particles.emit(cx, cy, 15, color, { speed: 3, life: 25 });
 
-        if (round >= maxRounds) {
-            gameOver = true;
-            setTimeout(() => endGame(), 1500);
-        }
+        if (match.gameOver) endGame();
     }
 
-    function detectPatterns() {
-        detectedPatterns = [];
-        if (playerHistory.length < 5) return;
-
-        // Check for repetition
-        const last5 = playerHistory.slice(-5);
-        const unique = new Set(last5);
-        if (unique.size === 1) detectedPatterns.push(`Repeats ${SYMBOLS[last5[0]].name}`);
-
-        // Check for cycling
-        if (playerHistory.length >= 6) {
-            const last6 = playerHistory.slice(-6);
-            if (last6[0] === last6[2] && last6[2] === last6[4] &&
-                last6[1] === last6[3] && last6[3] === last6[5]) {
-                detectedPatterns.push('Alternating pattern');
-            }
-            if (last6[0] === last6[3] && last6[1] === last6[4] && last6[2] === last6[5]) {
-                detectedPatterns.push('3-cycle pattern');
-            }
-        }
-
-        // Check for favorite symbol
-        const counts = [0, 0, 0, 0, 0];
-        playerHistory.forEach(c => counts[c]++);
-        const total = playerHistory.length;
-        for (let i = 0; i < 5; i++) {
-            if (counts[i] / total > 0.4) {
-                detectedPatterns.push(`Favors ${SYMBOLS[i].name}`);
-            }
-        }
+    function say(text) {
+        if (!replaying) announce(text);
+    }
 
-        // Win-stay, lose-shift detection
-        let wslsCount = 0;
-        for (let i = 1; i < resultHistory.length; i++) {
-            if (resultHistory[i - 1] === 'win' && playerHistory[i] === playerHistory[i - 1]) wslsCount++;
-            if (resultHistory[i - 1] === 'loss' && playerHistory[i] !== playerHistory[i - 1]) wslsCount++;
-        }
-        if (resultHistory.length > 5 && wslsCount / (resultHistory.length - 1) > 0.65) {
-            detectedPatterns.push('Win-stay / Lose-shift');
-        }
+    function replayDriver(c, record) {
+        // One step = one round
+        let move = 0;
+        const reset = () => {
+            init(c, record);
+            canvas.width = W;
+            canvas.height = H;
+            move = 0;
+        };
+        reset();
+        return {
+            steps: record.inputs.length,
+            stepMs: REPLAY_STEP_MS,
+            unit: 'Round',
+            reset,
+            step() {
+                if (move >= record.inputs.length) return;
+                showResult = false; // Don't wait for the result banner to fade
+                playerChoose(record.inputs[move++]);
+            },
+            render: draw,
+            clearEffects() { particles.clear(); }
+        };
     }
 
     function endGame() {
+        if (replaying) return; // Replays never touch the profile
+        const { playerScore, aiScore, draws } = match;
         const won = playerScore > aiScore;
         const draw = playerScore === aiScore;
-        if (won) AudioSystem.win(); else if (!draw) AudioSystem.lose();
 
-        PlayerProfile.recordGame('patternDuel', won ? 'win' : (draw ? 'draw' : 'loss'), detectedPatterns);
+        const acc = PatternDuelSim.accuracy(match);
+        PlayerProfile.saveReplay('patternDuel', replay);
+        PlayerProfile.recordGame('patternDuel', won ? 'win' : (draw ? 'draw' : 'loss'), match.detectedPatterns, {
+            duration: Date.now() - matchStart,
+            score: { you: playerScore, ai: aiScore, draws },
+            level: { label: 'AI Reads', value: `${acc}%` },
+            replayId: replay.id
+        });
+        PatternDuelSim.decayModel(model);
         PlayerProfile.updatePatterns('patternDuel', {
-            predictionAccuracy: round > 0 ? Math.round((predictionAccuracy / round) * 100) : 0,
-            markovStates: Object.keys(markov).length
+            predictionAccuracy: acc,
+            markovStates: Object.keys(model.markov).length,
+            ...PatternDuelSim.exportModel(model)
         });
 
-        showEndScreen(won, draw);
+        // Leave the last round's result up for a moment
+        endScreenTimer = setTimeout(() => showEndScreen(won, draw), 1500);
     }
 
     function showEndScreen(won, draw) {
-        const overlay = document.getElementById('game-ui-overlay');
+        if (won) AudioSystem.win(); else if (!draw) AudioSystem.lose();
         const msg = draw ? '🤝 DRAW' : (won ? '🏆 YOU WIN' : '🧠 AI WINS');
-        const color = draw ? '#ffe600' : (won ? '#00f0ff' : '#ff006e');
-        const acc = round > 0 ? Math.round((predictionAccuracy / round) * 100) : 0;
+        const color = draw ? Theme.colors.yellow : (won ? Theme.colors.cyan : Theme.colors.pink);
+        const acc = PatternDuelSim.accuracy(match);
         overlay.innerHTML = `
             <div class="game-start-overlay">
                 <div class="game-overlay-msg" style="color: ${color}">${msg}</div>
                 <div style="color: var(--text-secondary); font-family: var(--font-mono); font-size: 0.85rem;">
-                    ${playerScore} — ${aiScore} (${draws} draws)<br>
+                    ${match.playerScore} — ${match.aiScore} (${match.draws} draws)<br>
                     AI predicted ${acc}% of your moves
                 </div>
                 <button class="start-btn" onclick="PatternDuelGame.restart()">PLAY AGAIN</button>
+                <button class="back-btn" onclick="App.launchReplay('patternDuel', '${replay.id}')">WATCH REPLAY</button>
                 <button class="back-btn" onclick="document.getElementById('back-btn').click()">BACK TO ARENA</button>
             </div>
         `;
     }
 
     function draw() {
-        ctx.fillStyle = '#0a0a12';
+        const {
+            round, maxRounds, playerScore, aiScore, gameOver, playerHistory, aiHistory, resultHistory,
+            lastPlayerChoice, lastAIChoice, lastResult, aiPrediction, streaks
+        } = match;
+        ctx.fillStyle = Theme.colors.field;
         ctx.fillRect(0, 0, W, H);
 
-        if (gameOver && document.getElementById('game-ui-overlay').querySelector('.game-start-overlay')) {
+        if (gameOver && !replaying && overlay.querySelector('.game-start-overlay')) {
             particles.update();
             particles.draw();
             return;
@@ -270,24 +180,24 @@ const PatternDuelGame = (() => {
         // Title + round
         ctx.font = '14px Share Tech Mono';
         ctx.textAlign = 'center';
-        ctx.fillStyle = '#555570';
+        ctx.fillStyle = Theme.colors.textDim;
         ctx.fillText(`ROUND ${round}/${maxRounds}`, W / 2, 25);
 
         // Scores
         ctx.font = '32px Orbitron';
-        ctx.fillStyle = 'rgba(0, 240, 255, 0.4)';
+        ctx.fillStyle = Theme.alpha(Theme.colors.cyan, 0.4);
         ctx.textAlign = 'right';
         ctx.fillText(playerScore, W / 2 - 40, 75);
         ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
         ctx.textAlign = 'center';
         ctx.fillText('—', W / 2, 75);
-        ctx.fillStyle = 'rgba(255, 0, 110, 0.4)';
+        ctx.fillStyle = Theme.alpha(Theme.colors.pink, 0.4);
         ctx.textAlign = 'left';
         ctx.fillText(aiScore, W / 2 + 40, 75);
 
         // Labels
         ctx.font = '12px Share Tech Mono';
-        ctx.fillStyle = '#555570';
+        ctx.fillStyle = Theme.colors.textDim;
         ctx.textAlign = 'right';
         ctx.fillText('YOU', W / 2 - 40, 92);
         ctx.textAlign = 'left';
@@ -308,7 +218,7 @@ const PatternDuelGame = (() => {
 
             // VS
             ctx.font = '20px Orbitron';
-            ctx.fillStyle = '#555570';
+            ctx.fillStyle = Theme.colors.textDim;
             ctx.fillText('VS', W / 2, 195);
 
             // AI choice
@@ -317,7 +227,7 @@ const PatternDuelGame = (() => {
 
             // Result text
             const resultText = lastResult === 'win' ? 'YOU WIN!' : (lastResult === 'loss' ? 'AI WINS!' : 'DRAW!');
-            const resultColor = lastResult === 'win' ? '#00f0ff' : (lastResult === 'loss' ? '#ff006e' : '#ffe600');
+            const resultColor = lastResult === 'win' ? Theme.colors.cyan : (lastResult === 'loss' ? Theme.colors.pink : Theme.colors.yellow);
             ctx.font = '24px Orbitron';
             ctx.fillStyle = resultColor;
             ctx.shadowColor = resultColor;
@@ -328,7 +238,7 @@ const PatternDuelGame = (() => {
             // AI prediction indicator
             if (aiPrediction >= 0) {
                 ctx.font = '12px Share Tech Mono';
-                ctx.fillStyle = aiPrediction === lastPlayerChoice ? '#39ff14' : '#555570';
+                ctx.fillStyle = aiPrediction === lastPlayerChoice ? Theme.colors.green : Theme.colors.textDim;
                 ctx.fillText(
                     aiPrediction === lastPlayerChoice ? '✓ AI predicted correctly' : '✗ AI predicted wrong',
                     W / 2, 290
@@ -340,14 +250,14 @@ const PatternDuelGame = (() => {
             // Prompt
             ctx.font = '18px Rajdhani';
             ctx.textAlign = 'center';
-            ctx.fillStyle = '#8888aa';
+            ctx.fillStyle = Theme.colors.textSecondary;
             ctx.fillText('Choose your element', W / 2, 200);
         }
 
         // Choice history (last 10) — positioned above button area
         const histStart = Math.max(0, playerHistory.length - 10);
         ctx.font = '10px Share Tech Mono';
-        ctx.fillStyle = '#555570';
+        ctx.fillStyle = Theme.colors.textDim;
         ctx.textAlign = 'center';
         ctx.fillText('HISTORY', W / 2, 320);
         for (let i = histStart; i < playerHistory.length; i++) {
@@ -358,10 +268,18 @@ const PatternDuelGame = (() => {
             ctx.globalAlpha = 0.3 + (idx / 10) * 0.7;
             ctx.fillText(SYMBOLS[playerHistory[i]].icon, x - 8, 348);
             ctx.fillText(SYMBOLS[aiHistory[i]].icon, x + 8, 365);
-            // Result dot
-            ctx.fillStyle = r === 'win' ? '#00f0ff' : (r === 'loss' ? '#ff006e' : '#ffe600');
+            // Result marker: up for a win, down for a loss, dot for a draw
+            ctx.fillStyle = r === 'win' ? Theme.colors.cyan : (r === 'loss' ? Theme.colors.pink : Theme.colors.yellow);
             ctx.beginPath();
-            ctx.arc(x, 375, 3, 0, Math.PI * 2);
+            if (r === 'draw') {
+                ctx.arc(x, 375, 3, 0, Math.PI * 2);
+            } else {
+                const dir = r === 'win' ? -1 : 1;
+                ctx.moveTo(x, 375 + dir * 4);
+                ctx.lineTo(x + 4, 375 - dir * 3);
+                ctx.lineTo(x - 4, 375 - dir * 3);
+                ctx.closePath();
+            }
             ctx.fill();
         }
         ctx.globalAlpha = 1;
@@ -369,12 +287,12 @@ const PatternDuelGame = (() => {
         // Streak indicator — above the button bar
         if (streaks.player >= 3) {
             ctx.font = '12px Share Tech Mono';
-            ctx.fillStyle = '#00f0ff';
+            ctx.fillStyle = Theme.colors.cyan;
             ctx.textAlign = 'center';
             ctx.fillText(`🔥 ${streaks.player} win streak!`, W / 2, H - 100);
         } else if (streaks.ai >= 3) {
             ctx.font = '12px Share Tech Mono';
-            ctx.fillStyle = '#ff006e';
+            ctx.fillStyle = Theme.colors.pink;
             ctx.textAlign = 'center';
             ctx.fillText(`🧠 AI on ${streaks.ai} win streak`, W / 2, H - 100);
         }
@@ -390,7 +308,6 @@ const PatternDuelGame = (() => {
     }
 
     function createChoiceButtons() {
-        const overlay = document.getElementById('game-ui-overlay');
         let html = '<div class="pd-choices">';
         for (const sym of SYMBOLS) {
             html += `<button class="pd-choice-btn" data-choice="${sym.id}" 
@@ -410,15 +327,22 @@ const PatternDuelGame = (() => {
     }
 
     function getInsights() {
-        const acc = round > 0 ? Math.round((predictionAccuracy / round) * 100) : 0;
+        const { round, maxRounds, aiPrediction, lastPlayerChoice, detectedPatterns, playerHistory } = match;
+        const acc = PatternDuelSim.accuracy(match);
         const insights = [
-            { label: 'AI Prediction Accuracy', value: `${acc}%`, bar: acc / 100, color: '#ff006e' },
-            { label: 'Markov States', value: `${Object.keys(markov).length}`, color: '#b829dd' },
-            { label: 'Rounds Played', value: `${round}/${maxRounds}`, color: '#00f0ff' },
+            { label: 'AI Prediction Accuracy', value: `${acc}%`, bar: acc / 100, color: Theme.colors.pink },
+            { label: 'Markov States', value: `${Object.keys(model.markov).length}`, color: Theme.colors.purple },
+            { label: 'Rounds Played', value: `${round}/${maxRounds}`, color: Theme.colors.cyan },
         ];
 
+        if (aiPrediction >= 0) {
+            const sym = SYMBOLS[aiPrediction];
+            const hit = lastPlayerChoice === aiPrediction ? ' ✓' : ' ✗';
+            insights.push({ label: 'AI Predicted', value: `${sym.icon} ${sym.name}${hit}`, color: sym.color });
+        }
+
         if (detectedPatterns.length > 0) {
-            insights.push({ label: 'Detected Pattern', value: detectedPatterns[0], color: '#ffe600' });
+            insights.push({ label: 'Detected Pattern', value: detectedPatterns[0], color: Theme.colors.yellow, announce: true });
         }
 
         // Show frequency distribution
@@ -437,42 +361,66 @@ const PatternDuelGame = (() => {
     }
 
     return {
-        name: 'patternDuel',
+        id: 'patternDuel',
         title: 'PATTERN DUEL',
+        icon: '🔮',
+        aiType: 'Markov Chain',
+        desc: 'Pick elements in a prediction duel. The AI builds a Markov chain of your choices.',
+        get color() { return Theme.colors.yellow; },
+        stats: { wins: 0, losses: 0 },
+        options: {
+            maxRounds: { label: 'Rounds per match', choices: [10, 15, 25, 40, 60], default: PatternDuelSim.MAX_ROUNDS }
+        },
+        // One action per symbol: number keys, and the face buttons plus LB on a gamepad
+        controls: Object.fromEntries(SYMBOLS.map(sym => [
+            sym.name.toLowerCase(), { label: sym.name, keys: [String(sym.id + 1)], buttons: [sym.id] }
+        ])),
         init,
-        start(c) {
+        start(c, host) {
+            overlay = host.overlay;
+            announce = host.announce;
             init(c);
             canvas.width = W;
             canvas.height = H;
 
-            const overlay = document.getElementById('game-ui-overlay');
             overlay.innerHTML = `
                 <div class="game-start-overlay">
                     <div style="font-family: var(--font-display); font-size: 1.5rem; color: var(--neon-yellow);">PATTERN DUEL</div>
                     <div class="start-instruction">
                         Pick an element each round. Each beats 2 others.<br>
                         🔥→🌿🪨  💧→🔥⚡  🌿→💧⚡  ⚡→💧🪨  🪨→🔥🌿<br>
-                        The AI builds a Markov chain of your choices and tries to predict your next move.
+                        The AI builds a Markov chain of your choices and tries to predict your next move.<br>
+                        Click an element or press 1–5.
                     </div>
                     <button class="start-btn" id="pd-start">START</button>
                 </div>
             `;
+            InputManager.attach(PatternDuelGame, canvas, {
+                onAction(action) {
+                    if (running) playerChoose(SYMBOLS.findIndex(sym => sym.name.toLowerCase() === action));
+                }
+            });
             document.getElementById('pd-start').onclick = () => {
                 overlay.innerHTML = '';
+                matchStart = Date.now();
                 createChoiceButtons();
                 running = true;
                 AudioSystem.init();
                 gameLoop();
             };
         },
+        replayDriver,
         stop() {
+            if (running && !match.gameOver && !replaying && match.round > 0) saveModel();
+            clearTimeout(endScreenTimer);
             running = false;
             cancelAnimationFrame(animFrame);
+            InputManager.detach();
         },
         restart() {
             running = false;
             cancelAnimationFrame(animFrame);
-            document.getElementById('game-ui-overlay').innerHTML = '';
+            overlay.innerHTML = '';
             init(canvas);
             canvas.width = W;
             canvas.height = H;
@@ -482,10 +430,12 @@ const PatternDuelGame = (() => {
         },
         getInsights,
         getStatsBar() {
-            const acc = round > 0 ? Math.round((predictionAccuracy / round) * 100) : 0;
-            return `<span><span class="stat-label">YOU</span> <span class="stat-value">${playerScore}</span></span>
-                    <span><span class="stat-label">AI</span> <span class="stat-value">${aiScore}</span></span>
+            const acc = PatternDuelSim.accuracy(match);
+            return `<span><span class="stat-label">YOU</span> <span class="stat-value">${match.playerScore}</span></span>
+                    <span><span class="stat-label">AI</span> <span class="stat-value">${match.aiScore}</span></span>
                     <span><span class="stat-label">AI READS</span> <span class="stat-value">${acc}%</span></span>`;
         }
     };
 })();
+
+GameRegistry.register(PatternDuelGame);
@@ -0,0 +1,144 @@
+/**
+ * NEURAL ARENA — Input Manager
+ * Maps keyboard, mouse/touch and gamepads to each game's abstract actions.
+ * A game declares its actions as `controls` in its module:
+ *
+ *   controls: {
+ *       up: { label: 'Up', keys: ['ArrowUp', 'w'], buttons: [12], axis: [1, -1] }
+ *   }
+ *
+ * keys are KeyboardEvent.key values (letters lower case) and can be rebound
+ * by the player, buttons are standard-mapping gamepad buttons, and axis is
+ * [stick axis index, direction]. One game is attached at a time; attaching
+ * replaces the previous game's listeners and detach() removes them all.
+ */
+const InputManager = (() => {
+    const AXIS_THRESHOLD = 0.5; // Stick deflection that counts as held
+    const IGNORED_TARGETS = ['INPUT', 'SELECT', 'TEXTAREA'];
+    const KEY_LABELS = {
+        ' ': 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc'
+    };
+
+    let active = null;
+
+    function normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    function keyLabel(key) {
+        return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+    }
+
+    function bindingsFor(game) {
+        // Default keys with the player's rebinds on top: {action: [keys]}
+        const saved = PlayerProfile.getControls(game.id);
+        const bindings = {};
+        for (const [action, def] of Object.entries(game.controls || {})) {
+            bindings[action] = Array.isArray(saved[action]) ? saved[action] : def.keys;
+        }
+        return bindings;
+    }
+
+    // --- Gamepad ---
+
+    function padActions(pad, controls) {
+        const held = new Set();
+        for (const [action, def] of Object.entries(controls)) {
+            const button = (def.buttons || []).some(b => pad.buttons[b] && pad.buttons[b].pressed);
+            const axis = def.axis && pad.axes[def.axis[0]] * def.axis[1] > AXIS_THRESHOLD;
+            if (button || axis) held.add(action);
+        }
+        return held;
+    }
+
+    function pollGamepads() {
+        const a = active;
+        const held = new Set();
+        for (const pad of navigator.getGamepads()) {
+            if (pad) padActions(pad, a.controls).forEach(action => held.add(action));
+        }
+        for (const action of held) {
+            if (!a.padHeld.has(action) && a.handlers.onAction) a.handlers.onAction(action);
+        }
+        a.padHeld = held;
+        a.pollFrame = requestAnimationFrame(pollGamepads);
+    }
+
+    // --- Attach / detach ---
+
+    function attach(game, canvas, handlers = {}) {
+        // handlers: onAction(action) on press, onPointerMove(x, y) and
+        // onPointerPress(x, y) in canvas pixels
+        detach();
+        const bindings = bindingsFor(game);
+        const keyMap = new Map(); // key -> [actions]
+        for (const [action, keys] of Object.entries(bindings)) {
+            for (const key of keys) keyMap.set(key, [...(keyMap.get(key) || []), action]);
+        }
+
+        const a = {
+            canvas,
+            controls: game.controls || {},
+            handlers,
+            keyHeld: new Set(),
+            padHeld: new Set(),
+            pollFrame: null,
+            listeners: [],
+            touchAction: canvas.style.touchAction
+        };
+        const listen = (target, type, fn) => {
+            target.addEventListener(type, fn);
+            a.listeners.push([target, type, fn]);
+        };
+        const toCanvas = e => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                (e.clientX - rect.left) * (canvas.width / rect.width),
+                (e.clientY - rect.top) * (canvas.height / rect.height)
+            ];
+        };
+
+        listen(document, 'keydown', (e) => {
+            if (IGNORED_TARGETS.includes(e.target.tagName)) return;
+            // Enter and Space belong to a focused button (START, PLAY AGAIN, ...)
+            if (e.target.tagName === 'BUTTON' && (e.key === 'Enter' || e.key === ' ')) return;
+            const actions = keyMap.get(normalizeKey(e.key));
+            if (!actions) return;
+            e.preventDefault(); // Arrow keys and space would scroll the page
+            for (const action of actions) {
+                if (a.keyHeld.has(action)) continue; // Auto-repeat
+                a.keyHeld.add(action);
+                if (handlers.onAction) handlers.onAction(action);
+            }
+        });
+        listen(document, 'keyup', (e) => {
+            for (const action of keyMap.get(normalizeKey(e.key)) || []) a.keyHeld.delete(action);
+        });
+        // Keys released while the window is unfocused never send keyup
+        listen(window, 'blur', () => a.keyHeld.clear());
+
+        if (handlers.onPointerMove) {
+            listen(canvas, 'pointermove', e => handlers.onPointerMove(...toCanvas(e)));
+            canvas.style.touchAction = 'none'; // Dragging steers instead of scrolling
+        }
+        if (handlers.onPointerPress) {
+            listen(canvas, 'click', e => handlers.onPointerPress(...toCanvas(e)));
+        }
+
+        active = a;
+        if (typeof navigator !== 'undefined' && navigator.getGamepads) {
+            a.pollFrame = requestAnimationFrame(pollGamepads);
+        }
+        return { held: action => a.keyHeld.has(action) || a.padHeld.has(action) };
+    }
+
+    function detach() {
+        if (!active) return;
+        for (const [target, type, fn] of active.listeners) target.removeEventListener(type, fn);
+        cancelAnimationFrame(active.pollFrame);
+        active.canvas.style.touchAction = active.touchAction;
+        active = null;
+    }
+
+    return { attach, detach, bindingsFor, normalizeKey, keyLabel };
+})();
@@ -9,7 +9,14 @@ class ParticleSystem {
     }
 
     emit(x, y, count, color, opts = {}) {
-        const { speed = 3, life = 40, size = 3, spread = Math.PI * 2 } = opts;
+        let { speed = 3, life = 40, size = 3, spread = Math.PI * 2 } = opts;
+        if (ParticleSystem.reducedMotion) {
+            // A small, short, slow puff still marks the event
+            count = Math.ceil(count / 4);
+            speed /= 3;
+            life = Math.ceil(life / 2);
+        }
+        count = Math.round(count * ParticleSystem.density);
         for (let i = 0; i < count; i++) {
             const angle = Math.random() * spread - spread / 2 + (opts.direction || 0);
             const vel = (0.5 + Math.random()) * speed;
@@ -60,6 +67,10 @@ class ParticleSystem {
     get count() { return this.particles.length; }
 }
 
+// Shared by every particle system; set by Settings.apply()
+ParticleSystem.reducedMotion = false;
+ParticleSystem.density = 1; // Share of each burst that is drawn, 0-1
+
 /**
  * Background neural network animation for main menu
  */
@@ -98,8 +109,8 @@ class NeuralBackground {
         const ctx = this.ctx;
         ctx.clearRect(0, 0, width, height);
 
-        // Update nodes
-        for (const n of this.nodes) {
+        // Update nodes (held still in reduced-motion mode)
+        for (const n of NeuralBackground.reducedMotion ? [] : this.nodes) {
             n.x += n.vx;
             n.y += n.vy;
             if (n.x < 0 || n.x > width) n.vx *= -1;
@@ -117,7 +128,7 @@ class NeuralBackground {
                 const dist = Math.sqrt(dx * dx + dy * dy);
                 if (dist < maxDist) {
                     const alpha = (1 - dist / maxDist) * 0.15;
-                    ctx.strokeStyle = `rgba(0, 240, 255, ${alpha})`;
+                    ctx.strokeStyle = Theme.alpha(Theme.colors.cyan, alpha);
                     ctx.beginPath();
                     ctx.moveTo(this.nodes[i].x, this.nodes[i].y);
                     ctx.lineTo(this.nodes[j].x, this.nodes[j].y);
@@ -129,8 +140,8 @@ class NeuralBackground {
         // Draw nodes
         for (const n of this.nodes) {
             const glow = 0.3 + Math.sin(n.pulse) * 0.2;
-            ctx.fillStyle = `rgba(0, 240, 255, ${glow})`;
-            ctx.shadowColor = '#00f0ff';
+            ctx.fillStyle = Theme.alpha(Theme.colors.cyan, glow);
+            ctx.shadowColor = Theme.colors.cyan;
             ctx.shadowBlur = 6;
             ctx.beginPath();
             ctx.arc(n.x, n.y, n.radius, 0, Math.PI * 2);
@@ -139,3 +150,6 @@ class NeuralBackground {
         ctx.shadowBlur = 0;
     }
 }
+
+// Set by Settings.apply(): holds the nodes still (reduced motion or a still background)
+NeuralBackground.reducedMotion = false;
@@ -1,50 +1,381 @@
 /**
  * NEURAL ARENA — Unified Player Profile
- * Tracks player behavior across all games, persists to localStorage.
+ * Tracks player behavior across all games, persists through ProfileStorage
+ * (IndexedDB by default). Several named profiles can live side by side; one
+ * is active at a time. Storage is async, so wait on `PlayerProfile.ready`.
  */
 const PlayerProfile = (() => {
-    const STORAGE_KEY = 'neural-arena-profile';
+    const DEFAULT_ID = 'default';
+    const MAX_NAME_LENGTH = 24;
+    const PROFILE_VERSION = 5;
+    const EXPORT_FORMAT = 'neural-arena-profile';
+    const EXPORT_VERSION = 1;
+    const SAVE_DELAY = 300; // ms; updates within this window share one write
+    const MAX_HISTORY = 200; // Match records kept per game
+    const MAX_REPLAYS = 5; // Replays kept per game; older ones are dropped
+    // Detected pattern tags are short phrases like 'Struggles with 🚀 pairs';
+    // anything else (e.g. markup in an imported file) is dropped
+    const PATTERN_TAG = /^[\p{L}\p{N}\p{M}\p{So}\p{Extended_Pictographic}\u200d .,:;!?()%+/-]{1,80}$/u;
+
+    // Pre-adapter localStorage layout, moved into the storage adapter on first run
+    const LEGACY_KEY = 'neural-arena-profile';
+    const LEGACY_INDEX_KEY = 'neural-arena-profiles';
+    const legacyKey = id => (id === DEFAULT_ID ? LEGACY_KEY : `${LEGACY_KEY}:${id}`);
 
     const defaultProfile = () => ({
-        version: 2,
+        version: PROFILE_VERSION,
         created: Date.now(),
         totalGamesPlayed: 0,
         adaptationScore: 0,
-        games: {
-            pong: { played: 0, wins: 0, losses: 0, patterns: {}, history: [] },
-            connect4: { played: 0, wins: 0, losses: 0, patterns: {}, history: [] },
-            patternDuel: { played: 0, wins: 0, losses: 0, patterns: {}, history: [] },
-            dodgeArena: { played: 0, sessions: 0, patterns: {}, history: [] },
-            memoryMatch: { played: 0, wins: 0, bestTime: null, patterns: {}, history: [] }
-        },
+        games: Object.fromEntries(GameRegistry.list().map(g => [
+            g.id, { played: 0, ...g.stats, patterns: {}, history: [], replays: [] }
+        ])),
         detectedPatterns: [],
-        winRateHistory: [] // [{timestamp, game, aiWinRate}]
+        winRateHistory: [], // [{timestamp, game, aiWinRate}]
+        controls: {}, // Rebound keys: {gameId: {action: [keys]}}
+        settings: {} // Player preferences, see settings.js
     });
 
-    let profile = defaultProfile();
+    // One step per version bump: MIGRATIONS[n] upgrades a v{n} profile to v{n + 1} in place
+    const MIGRATIONS = {
+        // v1 predates the version field; games may lack patterns/history
+        1(p) {
+            p.games = isPlainObject(p.games) ? p.games : {};
+            for (const g of Object.values(p.games)) {
+                if (!isPlainObject(g)) continue;
+                if (!isPlainObject(g.patterns)) g.patterns = {};
+                if (!Array.isArray(g.history)) g.history = [];
+            }
+        },
+        // v3 stores learned AI models in patterns; drop a counter that was never written
+        2(p) {
+            if (isPlainObject(p.games?.dodgeArena)) delete p.games.dodgeArena.sessions;
+        },
+        // v4 keeps a Connect 4 model per board variant; what was learned so far was on the classic board
+        3(p) {
+            const c4 = p.games?.connect4;
+            if (!isPlainObject(c4?.patterns)) return;
+            const { openingWeight, playerOpenings, openingBook, ...rest } = c4.patterns;
+            c4.patterns = { ...rest, variants: { Classic: { openingWeight, playerOpenings, openingBook } } };
+        },
+        // v5 keys Memory Match recall by grid size; bare card indexes mixed up grids, so they go
+        4(p) {
+            const recall = p.games?.memoryMatch?.patterns?.recallModel;
+            if (!isPlainObject(recall)) return;
+            for (const key of Object.keys(recall)) {
+                if (!key.includes(':')) delete recall[key];
+            }
+        }
+    };
+
+    // Store layout: 'meta' holds the profile index plus backup/corrupt copies,
+    // 'profiles' the cross-game part of each profile, and each registered game
+    // its own store. Both lists are fixed once the game manifest has loaded.
+    let GAME_IDS = [];
+    let STORES = [];
+
+    let storage = null;
+    let profile = defaultProfile(); // Rebuilt in init() once the games are known
+    let index = null;
+    const dirty = new Set(); // 'profiles' and/or game ids waiting to be written
+    let saveTimer = null;
+    let pendingWrite = Promise.resolve();
+    let ready = null;
+
+    function isPlainObject(v) {
+        return v !== null && typeof v === 'object' && !Array.isArray(v);
+    }
+
+    function isMatchRecord(e) {
+        return isPlainObject(e) && Number.isFinite(e.timestamp);
+    }
+
+    function isReplayRecord(r) {
+        // Everything a replay driver reads without checking (see replay.js)
+        return isPlainObject(r) && typeof r.id === 'string' && Number.isFinite(r.startedAt) &&
+            Number.isFinite(r.seed) && isPlainObject(r.model) && isPlainObject(r.meta) &&
+            Number.isInteger(r.frames) && Array.isArray(r.inputs);
+    }
+
+    function enqueue(ops) {
+        // Writes run strictly in order so a later save never lands before an earlier one
+        pendingWrite = pendingWrite
+            .then(() => storage.write(ops))
+            .catch(e => console.warn('Failed to save profile:', e));
+        return pendingWrite;
+    }
+
+    function migrate(saved) {
+        let version = Number.isInteger(saved.version) ? saved.version : 1;
+        if (version > PROFILE_VERSION) {
+            console.warn(`Profile version ${version} is newer than supported ${PROFILE_VERSION}`);
+        }
+        while (version < PROFILE_VERSION) {
+            const step = MIGRATIONS[version];
+            if (!step) throw new Error(`No profile migration from version ${version}`);
+            step(saved);
+            version++;
+            saved.version = version;
+        }
+        return validate(saved);
+    }
+
+    function validate(saved) {
+        // Repair the shape field by field so one bad value never costs the whole profile
+        if (!isPlainObject(saved)) throw new Error('Profile is not an object');
+        const defaults = defaultProfile();
+        const p = { ...defaults, ...saved };
 
-    function load() {
+        for (const key of ['created', 'totalGamesPlayed', 'adaptationScore']) {
+            if (!Number.isFinite(p[key])) p[key] = defaults[key];
+        }
+        p.detectedPatterns = Array.isArray(p.detectedPatterns)
+            ? p.detectedPatterns.filter(t => typeof t === 'string' && PATTERN_TAG.test(t))
+            : [];
+        p.winRateHistory = Array.isArray(p.winRateHistory)
+            ? p.winRateHistory.filter(r => isPlainObject(r) && Number.isFinite(r.timestamp))
+            : [];
+        p.controls = isPlainObject(p.controls) ? p.controls : {};
+        p.settings = isPlainObject(p.settings) ? p.settings : {};
+
+        p.games = isPlainObject(saved.games) ? { ...saved.games } : {};
+        for (const [key, def] of Object.entries(defaults.games)) {
+            const g = isPlainObject(p.games[key]) ? { ...def, ...p.games[key] } : def;
+            for (const field of ['played', 'wins', 'losses']) {
+                if (field in def && !Number.isFinite(g[field])) g[field] = def[field];
+            }
+            if (!isPlainObject(g.patterns)) g.patterns = {};
+            g.history = Array.isArray(g.history) ? g.history.filter(isMatchRecord) : [];
+            g.replays = Array.isArray(g.replays) ? g.replays.filter(isReplayRecord) : [];
+            p.games[key] = g;
+        }
+        return p;
+    }
+
+    function splitProfile(id, p) {
+        const { games, ...core } = p;
+        const ops = [{ store: 'profiles', key: id, value: core }];
+        for (const gameId of GAME_IDS) {
+            if (isPlainObject(games?.[gameId])) ops.push({ store: gameId, key: id, value: games[gameId] });
+        }
+        return ops;
+    }
+
+    async function readStore(store, id, corrupt) {
+        // A record that can't be read or isn't an object only costs its own
+        // store; whatever was there goes into `corrupt` for recovery
         try {
-            const raw = localStorage.getItem(STORAGE_KEY);
-            if (raw) {
-                const saved = JSON.parse(raw);
-                // Merge with defaults to handle new fields
-                profile = { ...defaultProfile(), ...saved };
-                for (const key of Object.keys(defaultProfile().games)) {
-                    profile.games[key] = { ...defaultProfile().games[key], ...(saved.games?.[key] || {}) };
-                }
+            const value = await storage.get(store, id);
+            if (value === undefined || isPlainObject(value)) return value;
+            corrupt[store] = value;
+        } catch (e) {
+            if (e?.raw !== undefined) corrupt[store] = e.raw;
+            else console.warn(`Failed to read ${store} for profile ${id}:`, e);
+        }
+        return undefined;
+    }
+
+    async function readProfile(id) {
+        const corrupt = {};
+        const core = await readStore('profiles', id, corrupt);
+        const games = {};
+        for (const gameId of GAME_IDS) {
+            const g = await readStore(gameId, id, corrupt);
+            if (g !== undefined) games[gameId] = g;
+        }
+        if (Object.keys(corrupt).length > 0) {
+            console.warn(`Profile data is corrupt in ${Object.keys(corrupt).join(', ')}; using defaults there`);
+            await enqueue([{ store: 'meta', key: `corrupt:${id}`, value: corrupt }]);
+        }
+        if (core === undefined && Object.keys(games).length === 0) return undefined;
+        // Without its core the saved version is unknown; game stores are saved current
+        return { ...(core || { version: PROFILE_VERSION }), games };
+    }
+
+    async function load() {
+        const id = index.active;
+        const saved = await readProfile(id);
+        if (!saved) {
+            profile = defaultProfile();
+            return;
+        }
+
+        const fromVersion = Number.isInteger(saved.version) ? saved.version : 1;
+        const original = JSON.parse(JSON.stringify(saved));
+        try {
+            profile = migrate(saved);
+            if (fromVersion < PROFILE_VERSION) {
+                await enqueue([{ store: 'meta', key: `backup:${id}`, value: original }]);
+                save();
             }
         } catch (e) {
-            console.warn('Failed to load profile:', e);
+            console.warn('Failed to migrate profile:', e);
+            await enqueue([{ store: 'meta', key: `corrupt:${id}`, value: original }]);
             profile = defaultProfile();
         }
     }
 
-    function save() {
+    function save(...sections) {
+        // Mark what changed and write it in one batch once updates go quiet
+        if (sections.length === 0) sections = ['profiles', ...GAME_IDS];
+        for (const section of sections) dirty.add(section);
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(flush, SAVE_DELAY);
+    }
+
+    function flush() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (!storage || !index || dirty.size === 0) return pendingWrite;
+        const id = index.active;
+        const ops = [];
+        for (const section of dirty) {
+            if (section === 'profiles') {
+                const { games, ...core } = profile;
+                ops.push({ store: 'profiles', key: id, value: core });
+            } else if (profile.games[section]) {
+                ops.push({ store: section, key: id, value: profile.games[section] });
+            }
+        }
+        dirty.clear();
+        return enqueue(ops);
+    }
+
+    function readLegacy(key) {
+        // null when missing or when the browser blocks storage access
+        try {
+            return localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function migrateLegacyStorage() {
+        // Move the old one-blob-per-profile localStorage layout into the adapter, once
+        const hasLegacy = readLegacy(LEGACY_INDEX_KEY) !== null || readLegacy(LEGACY_KEY) !== null;
+        if (!hasLegacy || await storage.get('meta', 'index').catch(() => undefined)) return;
+
+        let legacyIndex = null;
+        try {
+            legacyIndex = JSON.parse(readLegacy(LEGACY_INDEX_KEY));
+        } catch (e) {
+            legacyIndex = null;
+        }
+        if (!isPlainObject(legacyIndex) || !Array.isArray(legacyIndex.profiles) || legacyIndex.profiles.length === 0) {
+            legacyIndex = { active: DEFAULT_ID, profiles: [{ id: DEFAULT_ID, name: 'Player 1', created: Date.now() }] };
+        }
+
+        const ops = [{ store: 'meta', key: 'index', value: legacyIndex }];
+        const legacyKeys = [LEGACY_INDEX_KEY];
+        for (const { id } of legacyIndex.profiles) {
+            const key = legacyKey(id);
+            legacyKeys.push(key, `${key}-backup`, `${key}-corrupt`);
+            const raw = readLegacy(key);
+            if (raw !== null) {
+                let saved = null;
+                try {
+                    saved = JSON.parse(raw);
+                } catch (e) {
+                    saved = null;
+                }
+                if (isPlainObject(saved)) ops.push(...splitProfile(id, saved));
+                else ops.push({ store: 'meta', key: `corrupt:${id}`, value: raw });
+            }
+            try {
+                const backup = JSON.parse(readLegacy(`${key}-backup`));
+                if (isPlainObject(backup)) ops.push({ store: 'meta', key: `backup:${id}`, value: backup });
+            } catch (e) {
+                // No usable backup to carry over
+            }
+        }
+
+        await storage.write(ops);
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+            for (const key of legacyKeys) localStorage.removeItem(key);
         } catch (e) {
-            console.warn('Failed to save profile:', e);
+            // Already copied; the meta index keeps this from running again
+        }
+    }
+
+    // --- Named profiles ---
+
+    async function loadIndex() {
+        const saved = await storage.get('meta', 'index').catch(e => {
+            console.warn('Failed to load profile index:', e);
+            return undefined;
+        });
+        if (isPlainObject(saved) && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+            index = saved;
+            if (!index.profiles.some(p => p.id === index.active)) index.active = index.profiles[0].id;
+            return;
+        }
+        index = { active: DEFAULT_ID, profiles: [{ id: DEFAULT_ID, name: 'Player 1', created: Date.now() }] };
+        await saveIndex();
+    }
+
+    function saveIndex() {
+        return enqueue([{ store: 'meta', key: 'index', value: index }]);
+    }
+
+    function cleanName(name) {
+        const clean = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+        if (!clean) throw new Error('Profile name cannot be empty');
+        return clean;
+    }
+
+    function listProfiles() {
+        return index.profiles.map(p => ({ ...p, active: p.id === index.active }));
+    }
+
+    function getActiveProfile() {
+        return { ...index.profiles.find(p => p.id === index.active) };
+    }
+
+    async function switchProfile(id) {
+        if (!index.profiles.some(p => p.id === id)) throw new Error(`Unknown profile ${id}`);
+        await flush();
+        const previous = index.active;
+        index.active = id;
+        try {
+            await load();
+        } catch (e) {
+            // Stay on the profile that is still loaded
+            index.active = previous;
+            throw e;
+        }
+        saveIndex();
+    }
+
+    async function createProfile(name) {
+        const entry = { id: `p${Date.now().toString(36)}`, name: cleanName(name), created: Date.now() };
+        index.profiles.push(entry);
+        await switchProfile(entry.id);
+        save();
+        return entry.id;
+    }
+
+    function renameProfile(id, name) {
+        const entry = index.profiles.find(p => p.id === id);
+        if (!entry) throw new Error(`Unknown profile ${id}`);
+        entry.name = cleanName(name);
+        return saveIndex();
+    }
+
+    async function deleteProfile(id) {
+        if (index.profiles.length <= 1) throw new Error('Cannot delete the only profile');
+        index.profiles = index.profiles.filter(p => p.id !== id);
+        const ops = STORES.filter(store => store !== 'meta').map(store => ({ store, key: id, value: undefined }));
+        ops.push({ store: 'meta', key: `backup:${id}`, value: undefined });
+        ops.push({ store: 'meta', key: `corrupt:${id}`, value: undefined });
+        if (index.active === id) {
+            // Unsaved changes belong to the profile being deleted
+            dirty.clear();
+            clearTimeout(saveTimer);
+            enqueue(ops);
+            await switchProfile(index.profiles[0].id);
+        } else {
+            enqueue(ops);
+            await saveIndex();
         }
     }
 
@@ -56,7 +387,11 @@ const PlayerProfile = (() => {
         return Math.min(99, Math.floor(totalGames * 0.5 + patternsDetected * 3 + aiWins * 0.3));
     }
 
-    function recordGame(gameName, result, patterns = []) {
+    /**
+     * Record a finished match. `details` becomes part of the match record:
+     * {duration (ms), score: {label: number}, level: {label, value}}
+     */
+    function recordGame(gameName, result, patterns = [], details = {}) {
         const g = profile.games[gameName];
         if (!g) return;
         g.played++;
@@ -64,6 +399,11 @@ const PlayerProfile = (() => {
         if (result === 'win') g.wins++;
         else if (result === 'loss') g.losses++;
 
+        g.history.push({ timestamp: Date.now(), result, patterns: [...patterns], ...details });
+        if (g.history.length > MAX_HISTORY) {
+            g.history = g.history.slice(-MAX_HISTORY);
+        }
+
         // Record win rate history point
         const aiWinRate = g.played > 0 ? ((g.losses / g.played) * 100) : 0;
         profile.winRateHistory.push({
@@ -88,14 +428,60 @@ const PlayerProfile = (() => {
         }
 
         profile.adaptationScore = getAdaptationLevel();
-        save();
+        save('profiles', gameName);
     }
 
     function updatePatterns(gameName, patternData) {
         const g = profile.games[gameName];
         if (!g) return;
         Object.assign(g.patterns, patternData);
-        save();
+        save(gameName);
+    }
+
+    function saveReplay(gameName, record) {
+        const g = profile.games[gameName];
+        if (!g) return;
+        g.replays = [...g.replays, record].slice(-MAX_REPLAYS);
+        save(gameName);
+    }
+
+    function getReplay(gameName, id) {
+        const g = profile.games[gameName];
+        return (g && g.replays.find(r => r.id === id)) || null;
+    }
+
+    function queryHistory({ game = null, from = null, to = null } = {}) {
+        // Newest first; `from`/`to` are inclusive timestamps
+        const entries = [];
+        for (const [key, g] of Object.entries(profile.games)) {
+            if (game && key !== game) continue;
+            for (const entry of g.history) {
+                if (from !== null && entry.timestamp < from) continue;
+                if (to !== null && entry.timestamp > to) continue;
+                entries.push({ game: key, ...entry });
+            }
+        }
+        return entries.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    function getControls(gameName) {
+        return { ...profile.controls[gameName] };
+    }
+
+    function setControls(gameName, bindings) {
+        // `bindings` is {action: [keys]}; null drops the game's rebinds
+        if (bindings && Object.keys(bindings).length > 0) profile.controls[gameName] = { ...bindings };
+        else delete profile.controls[gameName];
+        save('profiles');
+    }
+
+    function getSettings() {
+        return { ...profile.settings };
+    }
+
+    function updateSettings(changes) {
+        Object.assign(profile.settings, changes);
+        save('profiles');
     }
 
     function getGameStats(gameName) {
@@ -122,16 +508,181 @@ const PlayerProfile = (() => {
         };
     }
 
+    // --- Export / Import ---
+
+    function exportData() {
+        return {
+            format: EXPORT_FORMAT,
+            exportVersion: EXPORT_VERSION,
+            exportedAt: Date.now(),
+            profile: JSON.parse(JSON.stringify(profile))
+        };
+    }
+
+    function parseImport(text) {
+        // Returns a migrated, validated profile or throws with a user-facing message
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+        if (!isPlainObject(data) || data.format !== EXPORT_FORMAT || !isPlainObject(data.profile)) {
+            throw new Error('File is not a Neural Arena profile export');
+        }
+        if (!Number.isInteger(data.exportVersion) || data.exportVersion > EXPORT_VERSION) {
+            throw new Error(`Unsupported export version ${data.exportVersion}`);
+        }
+        return migrate(data.profile);
+    }
+
+    function previewImport(incoming) {
+        const games = {};
+        for (const [key, g] of Object.entries(incoming.games)) {
+            const current = profile.games[key] || {};
+            games[key] = {
+                currentPlayed: current.played || 0,
+                incomingPlayed: g.played || 0,
+                models: Object.keys(g.patterns || {})
+            };
+        }
+        return {
+            currentTotal: profile.totalGamesPlayed,
+            incomingTotal: incoming.totalGamesPlayed,
+            currentPatterns: profile.detectedPatterns.length,
+            incomingPatterns: incoming.detectedPatterns.length,
+            created: incoming.created,
+            games
+        };
+    }
+
+    function mergePatterns(base, incoming) {
+        // Incoming models win, but maps of them (Connect 4's per-variant models,
+        // Memory Match's recall per grid) merge entry by entry
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(incoming)) {
+            merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? { ...base[key], ...value } : value;
+        }
+        return merged;
+    }
+
+    function tally(entries) {
+        return {
+            played: entries.length,
+            wins: entries.filter(e => e.result === 'win').length,
+            losses: entries.filter(e => e.result === 'loss').length
+        };
+    }
+
+    function mergeProfiles(base, incoming) {
+        // Counters add up, histories interleave by time; incoming learned models win.
+        // Matches both sides share count once, so merging the same file twice changes nothing
+        const merged = validate(JSON.parse(JSON.stringify(base)));
+        merged.created = Math.min(base.created, incoming.created);
+        let repeatedGames = 0;
+
+        for (const [key, g] of Object.entries(incoming.games)) {
+            // validate() only repairs registered games; take records from any other one as they check out
+            if (!isPlainObject(g)) continue;
+            const m = merged.games[key] || (merged.games[key] = { patterns: {}, history: [], replays: [] });
+            const known = new Set(m.history.map(e => e.timestamp));
+            const history = (Array.isArray(g.history) ? g.history.filter(isMatchRecord) : [])
+                .sort((a, b) => a.timestamp - b.timestamp);
+            const replays = Array.isArray(g.replays) ? g.replays.filter(isReplayRecord) : [];
+            const fresh = tally(history.filter(e => !known.has(e.timestamp)));
+            const repeats = tally(history.filter(e => known.has(e.timestamp)));
+            // Matches older than the incoming history can't be told apart; they are
+            // already here too when its oldest listed match is
+            const olderKnown = history.length > 0 && known.has(history[0].timestamp);
+            for (const field of ['played', 'wins', 'losses']) {
+                if (!Number.isFinite(g[field])) continue;
+                const gained = olderKnown ? fresh[field] : Math.max(0, g[field] - repeats[field]);
+                if (field === 'played') repeatedGames += g.played - gained;
+                m[field] = (m[field] || 0) + gained;
+            }
+            if (g.bestTime != null) m.bestTime = m.bestTime == null ? g.bestTime : Math.min(m.bestTime, g.bestTime);
+            m.patterns = mergePatterns(m.patterns, isPlainObject(g.patterns) ? JSON.parse(JSON.stringify(g.patterns)) : {});
+            m.history = [...m.history, ...history.filter(e => !known.has(e.timestamp))]
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .slice(-MAX_HISTORY);
+            const knownReplays = new Set((m.replays || []).map(r => r.startedAt));
+            m.replays = [...(m.replays || []), ...replays.filter(r => !knownReplays.has(r.startedAt))]
+                .sort((a, b) => a.startedAt - b.startedAt)
+                .slice(-MAX_REPLAYS);
+        }
+        merged.totalGamesPlayed = base.totalGamesPlayed + Math.max(0, incoming.totalGamesPlayed - repeatedGames);
+
+        for (const p of incoming.detectedPatterns) {
+            if (!merged.detectedPatterns.includes(p)) merged.detectedPatterns.push(p);
+        }
+        merged.detectedPatterns = merged.detectedPatterns.slice(-20);
+        merged.controls = { ...merged.controls, ...incoming.controls };
+        const pointKey = r => `${r.game}:${r.timestamp}`;
+        const knownPoints = new Set(merged.winRateHistory.map(pointKey));
+        merged.winRateHistory = [...merged.winRateHistory, ...incoming.winRateHistory.filter(r => !knownPoints.has(pointKey(r)))]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-100);
+        return merged;
+    }
+
+    function applyImport(incoming, mode = 'replace') {
+        profile = mode === 'merge' ? mergeProfiles(profile, incoming) : validate(JSON.parse(JSON.stringify(incoming)));
+        profile.adaptationScore = getAdaptationLevel();
+        save();
+    }
+
     function reset() {
         profile = defaultProfile();
         save();
     }
 
-    // Auto-load on init
-    load();
+    async function init(adapter) {
+        GAME_IDS = GameRegistry.list().map(g => g.id);
+        STORES = ['meta', 'profiles', ...GAME_IDS];
+        profile = defaultProfile();
+        if (adapter) {
+            await adapter.open(STORES);
+            storage = adapter;
+        } else {
+            storage = await ProfileStorage.openDefault(STORES);
+        }
+        await migrateLegacyStorage();
+        await loadIndex();
+        await load();
+    }
+
+    function start(adapter) {
+        return init(adapter).catch(e => {
+            // Keep running on in-memory defaults rather than not at all
+            console.warn('Failed to load profile:', e);
+            if (!index) index = { active: DEFAULT_ID, profiles: [{ id: DEFAULT_ID, name: 'Player 1', created: Date.now() }] };
+        });
+    }
+
+    function useStorage(adapter) {
+        // Swap backends after flushing pending writes
+        ready = flush().then(() => start(adapter));
+        return ready;
+    }
+
+    // Write pending changes before the page goes away
+    if (typeof window !== 'undefined') {
+        window.addEventListener('pagehide', flush);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flush();
+        });
+    }
+
+    // Auto-load once every game has registered
+    ready = GameRegistry.loaded.then(() => start());
 
     return {
-        load, save, recordGame, updatePatterns, getGameStats, getOverview, getAdaptationLevel, reset,
-        get data() { return profile; }
+        load, save, flush, useStorage, recordGame, updatePatterns, getGameStats, getOverview, getAdaptationLevel, reset,
+        queryHistory, saveReplay, getReplay, getControls, setControls, getSettings, updateSettings,
+        exportData, parseImport, previewImport, applyImport,
+        listProfiles, getActiveProfile, switchProfile, createProfile, renameProfile, deleteProfile,
+        get data() { return profile; },
+        get ready() { return ready; },
+        get storageName() { return storage ? storage.name : null; }
     };
 })();
@@ -0,0 +1,143 @@
+/**
+ * NEURAL ARENA — Game Registry
+ * Every game registers one module with GameRegistry.register(); the menu,
+ * profile and replay viewer are built from what is registered. Game scripts
+ * are listed in js/games/manifest.js and loaded from there, so adding a game
+ * never touches app.js or index.html.
+ *
+ * A game module provides:
+ *
+ *   id, title, icon, aiType, desc, color   menu card and profile labels
+ *                            (color can be a getter on Theme.colors to
+ *                            follow the player's palette)
+ *   stats                    counters the profile keeps besides `played`,
+ *                            e.g. { wins: 0, losses: 0 } (optional)
+ *   controls                 actions and their default keys/buttons, see
+ *                            input.js (optional; games attach them in start())
+ *   options                  match options shown in Settings, e.g. match
+ *                            length; see settings.js (optional)
+ *   start(canvas, host)      set up a match and show its start overlay;
+ *                            host = { overlay, announce(text) }: the element
+ *                            to draw UI into and the screen-reader announcer
+ *   stop()                   end play and detach input
+ *   restart()                start a fresh match on the same canvas
+ *   getInsights()            -> [{ label, value, color, bar? (0-1), announce? }]
+ *                            (announce: read the value aloud when it changes)
+ *   getStatsBar()            -> HTML for the header stats bar
+ *   replayDriver(canvas, record)  -> Replay driver (optional, see replay.js)
+ *
+ * Learned models live in the profile under the game's id: read them with
+ * PlayerProfile.getGameStats(id).patterns, write them with updatePatterns().
+ */
+const GameRegistry = (() => {
+    const REQUIRED_STRINGS = ['id', 'title', 'icon', 'aiType', 'desc', 'color'];
+    const REQUIRED_METHODS = ['start', 'stop', 'restart', 'getInsights', 'getStatsBar'];
+    const OPTIONAL_METHODS = ['replayDriver'];
+    const RESERVED_IDS = ['meta', 'profiles']; // Profile store names
+
+    const games = new Map();
+    let closed = false;
+    let resolveLoaded;
+    const loaded = new Promise(resolve => { resolveLoaded = resolve; });
+
+    function check(def) {
+        // Returns what is wrong with a module, or null when it fits the interface
+        if (def === null || typeof def !== 'object') return 'game module must be an object';
+        for (const key of REQUIRED_STRINGS) {
+            if (typeof def[key] !== 'string' || def[key] === '') return `"${key}" must be a non-empty string`;
+        }
+        if (!/^[A-Za-z][A-Za-z0-9]*$/.test(def.id)) return `id "${def.id}" must be alphanumeric`;
+        if (RESERVED_IDS.includes(def.id)) return `id "${def.id}" is reserved`;
+        for (const key of REQUIRED_METHODS) {
+            if (typeof def[key] !== 'function') return `${key}() is missing`;
+        }
+        for (const key of OPTIONAL_METHODS) {
+            if (key in def && typeof def[key] !== 'function') return `${key} must be a function`;
+        }
+        if ('stats' in def) {
+            if (def.stats === null || typeof def.stats !== 'object' || Array.isArray(def.stats)) {
+                return 'stats must be an object';
+            }
+            for (const [key, value] of Object.entries(def.stats)) {
+                if (value !== null && !Number.isFinite(value)) return `stats.${key} must be a number or null`;
+            }
+        }
+        if ('controls' in def) {
+            const problem = checkControls(def.controls);
+            if (problem) return problem;
+        }
+        if ('options' in def) return checkOptions(def.options);
+        return null;
+    }
+
+    function checkControls(controls) {
+        if (controls === null || typeof controls !== 'object' || Array.isArray(controls)) {
+            return 'controls must be an object';
+        }
+        for (const [action, c] of Object.entries(controls)) {
+            if (c === null || typeof c !== 'object') return `controls.${action} must be an object`;
+            if (typeof c.label !== 'string' || c.label === '') return `controls.${action}.label must be a non-empty string`;
+            if (!Array.isArray(c.keys) || !c.keys.every(k => typeof k === 'string' && k !== '')) {
+                return `controls.${action}.keys must be a list of key names`;
+            }
+            if ('buttons' in c && !(Array.isArray(c.buttons) && c.buttons.every(Number.isInteger))) {
+                return `controls.${action}.buttons must be a list of button indices`;
+            }
+            if ('axis' in c && !(Array.isArray(c.axis) && Number.isInteger(c.axis[0]) && Math.abs(c.axis[1]) === 1)) {
+                return `controls.${action}.axis must be [index, 1 or -1]`;
+            }
+        }
+        return null;
+    }
+
+    function checkOptions(options) {
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            return 'options must be an object';
+        }
+        for (const [key, o] of Object.entries(options)) {
+            if (o === null || typeof o !== 'object') return `options.${key} must be an object`;
+            if (typeof o.label !== 'string' || o.label === '') return `options.${key}.label must be a non-empty string`;
+            if (!Array.isArray(o.choices) || o.choices.length === 0) return `options.${key}.choices must be a non-empty list`;
+            if (!o.choices.includes(o.default)) return `options.${key}.default must be one of its choices`;
+        }
+        return null;
+    }
+
+    function register(def) {
+        const problem = check(def);
+        if (problem) throw new Error(`Cannot register game${def && def.id ? ` "${def.id}"` : ''}: ${problem}`);
+        if (games.has(def.id)) throw new Error(`Game "${def.id}" is already registered`);
+        // The profile opens one store per game once loading finishes
+        if (closed) throw new Error(`Game "${def.id}" registered after the arena started`);
+        games.set(def.id, def);
+    }
+
+    function load(scripts) {
+        // Inserted scripts still run in list order (async = false); one that
+        // fails to load or register only costs its own game
+        return Promise.all(scripts.flat().map(src => new Promise(resolve => {
+            const el = document.createElement('script');
+            el.src = src;
+            el.async = false;
+            el.onload = resolve;
+            el.onerror = () => {
+                console.warn(`Failed to load game script ${src}`);
+                resolve();
+            };
+            document.head.appendChild(el);
+        }))).then(() => {
+            closed = true;
+            resolveLoaded();
+        });
+    }
+
+    function get(id) {
+        return games.get(id) || null;
+    }
+
+    function list() {
+        return [...games.values()];
+    }
+
+    return { register, load, get, list, loaded };
+})();
@@ -0,0 +1,151 @@
+/**
+ * NEURAL ARENA — Match Replay Records
+ * A replay is the match seed, a snapshot of the AI's learned model at kickoff
+ * and the player's inputs. Re-running a game from those reproduces the match
+ * exactly. Real-time games log one input per frame (run-length encoded);
+ * turn-based games log one entry per move.
+ */
+const Replay = (() => {
+    // Bumped whenever a game change would replay old records differently
+    // (v2: Connect 4's search and eval changed, Memory Match's recall keys)
+    const FORMAT_VERSION = 2;
+
+    function create(game, seed, model, meta = {}) {
+        return {
+            id: `${game}-${Date.now().toString(36)}`,
+            game,
+            version: FORMAT_VERSION,
+            seed,
+            startedAt: Date.now(),
+            model: JSON.parse(JSON.stringify(model)),
+            meta,
+            frames: 0,
+            inputs: []
+        };
+    }
+
+    function sameInput(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((v, i) => v === b[i]);
+        }
+        return a === b;
+    }
+
+    // --- Frame-based games: inputs are [[count, input], ...] runs ---
+
+    function pushFrame(record, input) {
+        const last = record.inputs[record.inputs.length - 1];
+        if (last && sameInput(last[1], input)) last[0]++;
+        else record.inputs.push([1, Array.isArray(input) ? [...input] : input]);
+        record.frames++;
+    }
+
+    function frameReader(record) {
+        // Returns a function yielding the next frame's input, or null when the log runs out
+        let run = 0, used = 0;
+        return () => {
+            while (run < record.inputs.length && used >= record.inputs[run][0]) {
+                run++;
+                used = 0;
+            }
+            if (run >= record.inputs.length) return null;
+            used++;
+            return record.inputs[run][1];
+        };
+    }
+
+    // --- Turn-based games: one input per move ---
+
+    function pushMove(record, move) {
+        record.inputs.push(move);
+        record.frames++;
+    }
+
+    // --- Playback ---
+
+    /**
+     * Drives a game's replay driver: {steps, stepMs, reset(), step(), render(),
+     * clearEffects()}. Rendering runs every animation frame; steps advance only
+     * while playing, at `speed` times real time. Seeking re-simulates from the
+     * start (silently) because game state can only be rebuilt from the log.
+     */
+    function createPlayer(driver, onUpdate = () => {}) {
+        let position = 0;
+        let playing = false;
+        let speed = 1;
+        let carry = 0; // ms of playback owed to the simulation
+        let last = 0;
+        let raf = null;
+
+        function advance(n) {
+            while (n-- > 0 && position < driver.steps) {
+                driver.step();
+                position++;
+            }
+        }
+
+        function frame(t) {
+            if (playing) {
+                carry += (t - last) * speed;
+                const due = Math.floor(carry / driver.stepMs);
+                if (due > 0) {
+                    carry -= due * driver.stepMs;
+                    advance(due);
+                    if (position >= driver.steps) playing = false;
+                    onUpdate();
+                }
+            }
+            last = t;
+            driver.render();
+            raf = requestAnimationFrame(frame);
+        }
+
+        function seek(target) {
+            target = Math.max(0, Math.min(driver.steps, Math.round(target)));
+            if (target < position) {
+                driver.reset();
+                position = 0;
+            }
+            AudioSystem.silently(() => advance(target - position));
+            driver.clearEffects();
+            carry = 0;
+            onUpdate();
+        }
+
+        raf = requestAnimationFrame(frame);
+
+        return {
+            get position() { return position; },
+            get steps() { return driver.steps; },
+            get playing() { return playing; },
+            get speed() { return speed; },
+            play() {
+                if (position >= driver.steps) seek(0);
+                playing = true;
+                carry = 0;
+                onUpdate();
+            },
+            pause() {
+                playing = false;
+                onUpdate();
+            },
+            step(delta = 1) {
+                playing = false;
+                if (delta === 1 && position < driver.steps) {
+                    advance(1);
+                    onUpdate();
+                } else {
+                    seek(position + delta);
+                }
+            },
+            seek,
+            setSpeed(s) { speed = s; onUpdate(); },
+            destroy() {
+                playing = false;
+                cancelAnimationFrame(raf);
+            }
+        };
+    }
+
+    return { FORMAT_VERSION, create, pushFrame, frameReader, pushMove, createPlayer };
+})();
@@ -0,0 +1,29 @@
+/**
+ * NEURAL ARENA — Seeded Random
+ * Deterministic PRNG (mulberry32) so a match can be re-simulated from its seed.
+ * Games draw every random number for gameplay from their per-match generator;
+ * purely cosmetic randomness (particles, background) stays on Math.random.
+ */
+const SeededRandom = (() => {
+    function create(seed) {
+        let state = seed >>> 0;
+        // Returns floats in [0, 1), like Math.random
+        const next = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        next.seed = seed >>> 0;
+        return next;
+    }
+
+    function newSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    return { create, newSeed };
+})();
+
+if (typeof module !== 'undefined') module.exports = SeededRandom;
@@ -0,0 +1,78 @@
+/**
+ * NEURAL ARENA — Settings
+ * Audio, visual and gameplay preferences. They are stored in the active
+ * profile (PlayerProfile.getSettings) and apply() pushes them to the audio,
+ * particle, background and theme systems, so a change takes effect at once.
+ *
+ * Games declare their match options in their module, e.g.
+ *
+ *   options: {
+ *       winningScore: { label: 'Points to win', choices: [3, 5, 7], default: 7 }
+ *   }
+ *
+ * and read the player's pick with Settings.gameOption(game, key) when a
+ * match starts.
+ */
+const Settings = (() => {
+    const DEFAULTS = {
+        volume: 100, // Master volume, 0-100
+        effectsVolume: 100, // Game sounds
+        interfaceVolume: 100, // Clicks and menu sounds
+        muted: false,
+        particles: 'high', // 'high' | 'low' | 'off'
+        background: 'animated', // 'animated' | 'still' | 'off'
+        theme: 'neon',
+        reducedMotion: 'auto', // 'auto' (follow the system) | 'on' | 'off'
+        gameOptions: {} // {gameId: {option: value}}
+    };
+
+    const PARTICLE_DENSITY = { high: 1, low: 0.4, off: 0 };
+
+    function get(key) {
+        const saved = PlayerProfile.getSettings();
+        return key in saved ? saved[key] : DEFAULTS[key];
+    }
+
+    function set(changes) {
+        PlayerProfile.updateSettings(changes);
+        apply();
+    }
+
+    function gameOption(game, key) {
+        // The saved choice if it is still offered, else the game's default
+        const def = game.options[key];
+        const saved = (get('gameOptions')[game.id] || {})[key];
+        return def.choices.includes(saved) ? saved : def.default;
+    }
+
+    function setGameOption(game, key, value) {
+        const all = get('gameOptions');
+        set({ gameOptions: { ...all, [game.id]: { ...all[game.id], [key]: value } } });
+    }
+
+    function reducedMotion() {
+        const setting = get('reducedMotion');
+        if (setting !== 'auto') return setting === 'on';
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    function apply() {
+        Theme.apply(get('theme'));
+
+        AudioSystem.setLevels({
+            master: get('volume') / 100,
+            effects: get('effectsVolume') / 100,
+            interface: get('interfaceVolume') / 100
+        });
+        AudioSystem.setMuted(get('muted'));
+
+        const reduced = reducedMotion();
+        ParticleSystem.reducedMotion = reduced;
+        ParticleSystem.density = PARTICLE_DENSITY[get('particles')] ?? 1;
+        NeuralBackground.reducedMotion = reduced || get('background') === 'still';
+        document.getElementById('bg-canvas').hidden = get('background') === 'off';
+        document.body.classList.toggle('reduced-motion', reduced);
+    }
+
+    return { DEFAULTS, get, set, gameOption, setGameOption, reducedMotion, apply };
+})();
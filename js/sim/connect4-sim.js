@@ -0,0 +1,840 @@
+/**
+ * NEURAL ARENA — Connect 4 Simulation
+ * Rendering-free board rules, the minimax search and the opening learner.
+ * Nothing here is random: the learned model plus the player's moves fully
+ * determine a match.
+ *
+ * A match is played on one of VARIANTS (board size, line length, PopOut).
+ * Moves are column numbers; in PopOut, cols + c pops the mover's bottom
+ * disc out of column c.
+ */
+const Connect4Sim = (() => {
+    const VARIANTS = {
+        'Classic': { cols: 7, rows: 6, connect: 4, desc: '7×6, four in a row' },
+        '8×7': { cols: 8, rows: 7, connect: 4, desc: '8×7, four in a row' },
+        '9×7': { cols: 9, rows: 7, connect: 4, desc: '9×7, four in a row' },
+        'Connect 5': { cols: 9, rows: 7, connect: 5, desc: '9×7, five in a row' },
+        'PopOut': { cols: 7, rows: 6, connect: 4, popOut: true, desc: '7×6, four in a row, pop your own bottom discs' }
+    };
+    const DEFAULT_VARIANT = 'Classic';
+    const POPOUT_MOVE_LIMIT = 3; // PopOut games can cycle: a draw after this many moves per cell
+    const OPENING_BOOK_PLIES = 6; // Both sides' first 3 moves
+    const OPENING_WEIGHT_DECAY = 0.9; // Keeps persisted column weights bounded
+    const BOOK_MIN_GAMES = 2; // Line must be seen this often before it steers
+    const BOOK_WEIGHT = 40; // Max eval bonus/penalty from the book
+
+    // A threat is a window one disc short of a line. Each is typed by its
+    // direction, the row of its empty cell (counted from 1 at the bottom)
+    // and whether that cell is near a side of the board
+    const THREAT_TYPES = ['horizontal', 'vertical', 'diagonal', 'odd row', 'even row', 'edge'];
+    const EDGE_COLS = 2; // Columns on each side that count as the edge
+    const THREAT_DECAY = 0.9; // Keeps the learned threat weights bounded
+    const THREAT_RATE = 0.05; // Weight a type gains per match at most; settles at or below 0.5
+    const THREAT_STYLE_MIN = 2; // Threats a match needs in one direction before it reads as the player's style
+    const THREAT_STYLE_LEAD = 2; // ...and how many times every other direction's count it must be
+
+    function newBookNode() {
+        return { n: 0, ai: 0, pl: 0, next: {} };
+    }
+
+    function newBoard(g) {
+        return Array.from({ length: g.rows }, () => Array(g.cols).fill(0));
+    }
+
+    // --- Model (learned heuristics) ---
+    // Columns mean different things on different boards, so every variant
+    // learns its own opening weights and book
+
+    const MAX_DEPTH = 12;
+
+    function depthFor(gamesPlayed) {
+        // Search depth increases over games; in live play the time budget
+        // may stop the search before it gets this deep
+        return Math.min(MAX_DEPTH, 5 + Math.floor(gamesPlayed / 3));
+    }
+
+    function loadModel(saved = {}, variant = DEFAULT_VARIANT) {
+        // `saved` is the stored patterns: {variants: {[variant]: model}}
+        return restoreModel({ ...(saved.variants || {})[variant], variant });
+    }
+
+    function restoreModel(snapshot) {
+        // A model from a snapshot of one (replays keep them); older ones predate variants
+        return {
+            variant: VARIANTS[snapshot.variant] ? snapshot.variant : DEFAULT_VARIANT,
+            openingWeight: snapshot.openingWeight ? { ...snapshot.openingWeight } : {}, // Learned weights for columns
+            playerOpenings: snapshot.playerOpenings ? { ...snapshot.playerOpenings } : {}, // Track first 3 moves
+            openingBook: snapshot.openingBook ? JSON.parse(JSON.stringify(snapshot.openingBook)) : newBookNode(),
+            // Extra eval weight per threat type: defend for the player's threats, attack for the AI's
+            threatWeights: snapshot.threatWeights ? JSON.parse(JSON.stringify(snapshot.threatWeights)) : { defend: {}, attack: {} },
+            aiDepth: snapshot.aiDepth || depthFor(0)
+        };
+    }
+
+    function exportModel(model, saved = {}) {
+        // The stored patterns with this variant's model replaced. Depth is
+        // derived from games played, so it isn't persisted
+        return {
+            variants: {
+                ...saved.variants,
+                [model.variant]: {
+                    openingWeight: { ...model.openingWeight },
+                    playerOpenings: { ...model.playerOpenings },
+                    openingBook: JSON.parse(JSON.stringify(model.openingBook)),
+                    threatWeights: JSON.parse(JSON.stringify(model.threatWeights))
+                }
+            }
+        };
+    }
+
+    // --- Board ---
+
+    function getValidCols(b) {
+        const valid = [];
+        for (let c = 0; c < b[0].length; c++) {
+            if (b[0][c] === 0) valid.push(c);
+        }
+        return valid;
+    }
+
+    function legalMoves(m, player) {
+        // Drops, then (in PopOut) pops of the player's own bottom discs
+        const { board } = m;
+        const g = geometry(m.model.variant);
+        const moves = getValidCols(board);
+        if (g.popOut) {
+            for (let c = 0; c < g.cols; c++) {
+                if (board[g.rows - 1][c] === player) moves.push(g.cols + c);
+            }
+        }
+        return moves;
+    }
+
+    function landingRow(b, col) {
+        for (let r = b.length - 1; r >= 0; r--) {
+            if (b[r][col] === 0) return r;
+        }
+        return -1;
+    }
+
+    function applyMove(b, move, player) {
+        // Drops a piece, or for a pop move takes the bottom one out and lets
+        // the column fall a row. Returns the row the drop landed in (-1 for pops)
+        const cols = b[0].length;
+        if (move < cols) {
+            const r = landingRow(b, move);
+            if (r !== -1) b[r][move] = player;
+            return r;
+        }
+        const col = move - cols;
+        for (let r = b.length - 1; r > 0; r--) b[r][col] = b[r - 1][col];
+        b[0][col] = 0;
+        return -1;
+    }
+
+    function checkWin(b, player, connect = 4) {
+        // Horizontal, vertical, diagonal checks
+        const rows = b.length, cols = b[0].length;
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const dirs = [[0, 1], [1, 0], [1, 1], [1, -1]];
+                for (const [dr, dc] of dirs) {
+                    const line = [];
+                    let ok = true;
+                    for (let i = 0; i < connect; i++) {
+                        const nr = r + dr * i, nc = c + dc * i;
+                        if (nr < 0 || nr >= rows || nc < 0 || nc >= cols || b[nr][nc] !== player) {
+                            ok = false;
+                            break;
+                        }
+                        line.push([nr, nc]);
+                    }
+                    if (ok) return line;
+                }
+            }
+        }
+        return null;
+    }
+
+    // --- Search ---
+    // The search runs on bitboards: one per player, a bit per cell, column
+    // by column from the bottom row up. Up to 64 cells don't fit
+    // JavaScript's 32-bit operators, so a board is a lo/hi pair. Lines are
+    // looked up as precomputed windows of `connect` cells.
+
+    const WIN_SCORE = 100000; // Plus the empty cells left, so faster wins score higher
+    const TT_BITS = 19;
+    const TT_MASK = (1 << TT_BITS) - 1;
+    const TT_EXACT = 1, TT_LOWER = 2, TT_UPPER = 3;
+    const TIME_CHECK_NODES = 2048; // Look at the clock this often
+    const TIMEOUT = new Error('Search timed out');
+
+    const geometries = {};
+
+    function geometry(variant) {
+        // A variant's board and the search's lookup tables for it, built on first use
+        if (geometries[variant]) return geometries[variant];
+        const { cols, rows, connect, popOut = false } = VARIANTS[variant];
+        const cells = cols * rows;
+        if (cells > 64) throw new Error(`${variant}: boards over 64 cells don't fit the bitboards`);
+        const g = {
+            cols, rows, connect, popOut, cells,
+            center: Math.floor(cols / 2),
+            moveLimit: popOut ? cells * POPOUT_MOVE_LIMIT : cells
+        };
+
+        // Centre first: best moves early, more cutoffs. Pops after drops
+        const order = [...Array(cols).keys()].sort((a, b) => Math.abs(2 * a - cols + 1) - Math.abs(2 * b - cols + 1) || a - b);
+        g.moveOrder = popOut ? [...order, ...order.map(c => cols + c)] : order;
+
+        // Cell masks, indexed by col * rows + row (row 0 = bottom)
+        g.cellLo = new Int32Array(cells);
+        g.cellHi = new Int32Array(cells);
+        for (let i = 0; i < cells; i++) {
+            if (i < 32) g.cellLo[i] = 1 << i;
+            else g.cellHi[i] = 1 << (i - 32);
+        }
+
+        // Every window of `connect` cells that could become a line, as lo/hi
+        // masks and its direction, plus the windows through each cell and each column
+        g.winLo = [];
+        g.winHi = [];
+        g.winDir = [];
+        g.cellWins = Array.from({ length: cells }, () => []);
+        g.colWins = Array.from({ length: cols }, () => new Set());
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                for (const [dr, dc] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+                    const endR = r + dr * (connect - 1), endC = c + dc * (connect - 1);
+                    if (endR >= rows || endC < 0 || endC >= cols) continue;
+                    const w = g.winLo.length;
+                    let lo = 0, hi = 0;
+                    for (let i = 0; i < connect; i++) {
+                        const col = c + dc * i;
+                        const cell = col * rows + (rows - 1 - (r + dr * i));
+                        lo |= g.cellLo[cell];
+                        hi |= g.cellHi[cell];
+                        g.cellWins[cell].push(w);
+                        g.colWins[col].add(w);
+                    }
+                    g.winLo.push(lo);
+                    g.winHi.push(hi);
+                    g.winDir.push(dr === 0 ? 'horizontal' : (dc === 0 ? 'vertical' : 'diagonal'));
+                }
+            }
+        }
+        g.colWins = g.colWins.map(set => [...set]);
+
+        // Row and edge types of a threat whose empty cell this is
+        g.cellTypes = Array.from({ length: cells }, (_, cell) => {
+            const col = Math.floor(cell / rows);
+            const types = [cell % rows % 2 === 0 ? 'odd row' : 'even row'];
+            if (col < EDGE_COLS || col >= cols - EDGE_COLS) types.push('edge');
+            return types;
+        });
+
+        // Zobrist keys per player and cell; a fixed generator keeps hashes identical everywhere
+        let seed = 0x9e3779b9;
+        const xorshift = () => {
+            seed ^= seed << 13;
+            seed ^= seed >>> 17;
+            seed ^= seed << 5;
+            return seed;
+        };
+        g.zobrist = [1, 2].map(() => {
+            const keys = { lo: new Int32Array(cells), hi: new Int32Array(cells) };
+            for (let i = 0; i < cells; i++) {
+                keys.lo[i] = xorshift();
+                keys.hi[i] = xorshift();
+            }
+            return keys;
+        });
+
+        geometries[variant] = g;
+        return g;
+    }
+
+    // Transposition table, allocated on first search and cleared for each
+    // move so a search never depends on the ones before it
+    let tt = null;
+
+    function clearTable() {
+        if (!tt) {
+            const size = 1 << TT_BITS;
+            tt = {
+                check: new Int32Array(size), // Upper hash word, to tell apart positions sharing a slot
+                score: new Float64Array(size),
+                depth: new Int8Array(size),
+                flag: new Uint8Array(size), // 0 = empty
+                move: new Int8Array(size)
+            };
+        }
+        tt.flag.fill(0);
+    }
+
+    function popcount(x) {
+        x -= (x >>> 1) & 0x55555555;
+        x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+        return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+    }
+
+    function hasLine(pos, player, wins) {
+        // Whether `player` fills any of these windows
+        const { winLo, winHi } = pos.g;
+        const lo = pos.lo[player], hi = pos.hi[player];
+        for (const w of wins) {
+            if ((lo & winLo[w]) === winLo[w] && (hi & winHi[w]) === winHi[w]) return true;
+        }
+        return false;
+    }
+
+    function toPosition(g, b) {
+        // Grid (row 0 = top) -> search position
+        const pos = { g, lo: [0, 0, 0], hi: [0, 0, 0], heights: Array(g.cols).fill(0), moves: 0, hashLo: 0, hashHi: 0 };
+        for (let c = 0; c < g.cols; c++) {
+            for (let r = g.rows - 1; r >= 0 && b[r][c] !== 0; r--) drop(pos, c, b[r][c]);
+        }
+        return pos;
+    }
+
+    function drop(pos, col, player) {
+        // XOR both places and removes, so undoing is the same operation
+        const cell = col * pos.g.rows + pos.heights[col]++;
+        toggle(pos, cell, player);
+        pos.moves++;
+        return cell;
+    }
+
+    function undrop(pos, col, player) {
+        const cell = col * pos.g.rows + --pos.heights[col];
+        toggle(pos, cell, player);
+        pos.moves--;
+    }
+
+    function pop(pos, col, player) {
+        // Takes the player's bottom disc out; everything above falls a row
+        const base = col * pos.g.rows;
+        toggle(pos, base, player);
+        for (let cell = base + 1; cell < base + pos.heights[col]; cell++) {
+            const owner = ownerOf(pos, cell);
+            toggle(pos, cell, owner);
+            toggle(pos, cell - 1, owner);
+        }
+        pos.heights[col]--;
+        pos.moves--;
+    }
+
+    function unpop(pos, col, player) {
+        const base = col * pos.g.rows;
+        for (let cell = base + pos.heights[col] - 1; cell >= base; cell--) {
+            const owner = ownerOf(pos, cell);
+            toggle(pos, cell, owner);
+            toggle(pos, cell + 1, owner);
+        }
+        toggle(pos, base, player);
+        pos.heights[col]++;
+        pos.moves++;
+    }
+
+    function owns(pos, player, cell) {
+        return ((pos.lo[player] & pos.g.cellLo[cell]) | (pos.hi[player] & pos.g.cellHi[cell])) !== 0;
+    }
+
+    function ownerOf(pos, cell) {
+        // Of an occupied cell
+        return owns(pos, 1, cell) ? 1 : 2;
+    }
+
+    function toggle(pos, cell, player) {
+        const { cellLo, cellHi, zobrist } = pos.g;
+        pos.lo[player] ^= cellLo[cell];
+        pos.hi[player] ^= cellHi[cell];
+        pos.hashLo ^= zobrist[player - 1].lo[cell];
+        pos.hashHi ^= zobrist[player - 1].hi[cell];
+    }
+
+    function isLegal(pos, move, player) {
+        const { cols, rows } = pos.g;
+        if (move < cols) return pos.heights[move] < rows;
+        const col = move - cols;
+        return pos.heights[col] > 0 && owns(pos, player, col * rows);
+    }
+
+    function columnCount(pos, player, col) {
+        let n = 0;
+        for (let row = 0; row < pos.heights[col]; row++) {
+            if (owns(pos, player, col * pos.g.rows + row)) n++;
+        }
+        return n;
+    }
+
+    function emptyCell(pos, w) {
+        // The one free cell of a threat window
+        const { winLo, winHi } = pos.g;
+        const lo = winLo[w] & ~(pos.lo[1] | pos.lo[2]);
+        return lo ? 31 - Math.clz32(lo) : 63 - Math.clz32(winHi[w] & ~(pos.hi[1] | pos.hi[2]));
+    }
+
+    function threatMultipliers(g, weights) {
+        // Eval factors for threats from the learned weights: one per window
+        // (its direction) and one per empty cell (its row and edge types).
+        // null while nothing is learned, which leaves the plain heuristic
+        if (!Object.values(weights).some(v => v > 0)) return null;
+        const factor = type => 1 + (weights[type] || 0);
+        return {
+            window: Float64Array.from(g.winDir, factor),
+            cell: Float64Array.from(g.cellTypes, types => types.reduce((f, type) => f * factor(type), 1))
+        };
+    }
+
+    function threatFactor(pos, multipliers, w) {
+        return multipliers ? multipliers.window[w] * multipliers.cell[emptyCell(pos, w)] : 1;
+    }
+
+    function evaluate(pos, s) {
+        // Score the position from AI's perspective
+        const { openingWeight, attack, defend } = s;
+        const { cols, center, connect, winLo, winHi } = pos.g;
+        const aiLo = pos.lo[2], aiHi = pos.hi[2], plLo = pos.lo[1], plHi = pos.hi[1];
+        let score = 0;
+
+        // Center control bonus
+        score += (columnCount(pos, 2, center) - columnCount(pos, 1, center)) * 3;
+
+        // Evaluate all windows
+        for (let w = 0; w < winLo.length; w++) {
+            const ai = popcount(aiLo & winLo[w]) + popcount(aiHi & winHi[w]);
+            const pl = popcount(plLo & winLo[w]) + popcount(plHi & winHi[w]);
+            const empty = connect - ai - pl;
+            if (ai === connect) score += 10000;
+            else if (pl === connect) score -= 10000;
+            else if (ai === connect - 1 && empty === 1) score += 50 * threatFactor(pos, attack, w);
+            else if (pl === connect - 1 && empty === 1) score -= 80 * threatFactor(pos, defend, w); // Slightly overweight blocking
+            else if (ai === connect - 2 && empty === 2) score += 10;
+            else if (pl === connect - 2 && empty === 2) score -= 10;
+        }
+
+        // Apply learned opening weights
+        for (let c = 0; c < cols; c++) {
+            if (openingWeight[c]) {
+                for (let n = columnCount(pos, 2, c); n > 0; n--) score += openingWeight[c] * 2;
+            }
+        }
+
+        return score;
+    }
+
+    function scoreMove(s, move, player, depth, alpha, beta) {
+        // Plays the move, scores it for `player` and takes it back
+        const { pos } = s;
+        const { cols, cells } = pos.g;
+        const other = 3 - player;
+        let score;
+        if (move < cols) {
+            const cell = drop(pos, move, player);
+            score = hasLine(pos, player, pos.g.cellWins[cell])
+                ? WIN_SCORE + cells - pos.moves
+                : -child(s, depth, alpha, beta, other);
+            undrop(pos, move, player);
+        } else {
+            // A pop can complete lines for both sides; the popper's line counts first
+            const col = move - cols;
+            const wins = pos.g.colWins[col];
+            pop(pos, col, player);
+            if (hasLine(pos, player, wins)) score = WIN_SCORE + cells - pos.moves;
+            else if (hasLine(pos, other, wins)) score = -(WIN_SCORE + cells - pos.moves);
+            else score = -child(s, depth, alpha, beta, other);
+            unpop(pos, col, player);
+        }
+        return score;
+    }
+
+    function child(s, depth, alpha, beta, player) {
+        // negamax one ply further into the game
+        s.ply++;
+        const score = negamax(s, depth - 1, -beta, -alpha, player);
+        s.ply--;
+        return score;
+    }
+
+    function negamax(s, depth, alpha, beta, player) {
+        // Score for `player`, who is to move; the move just made did not win
+        const { pos } = s;
+        const { moveOrder, moveLimit } = pos.g;
+        if (++s.nodes % TIME_CHECK_NODES === 0 && s.deadline && Date.now() > s.deadline) throw TIMEOUT;
+        if (pos.g.popOut && s.ply >= moveLimit) return 0; // The move-limit draw
+        if (depth === 0 || (pos.moves === pos.g.cells && !pos.g.popOut)) {
+            const score = evaluate(pos, s);
+            return player === 2 ? score : -score;
+        }
+
+        // A PopOut position can recur at another ply; near the move limit
+        // its score depends on which, so the table stays out of it
+        const useTable = !pos.g.popOut || s.ply + depth < moveLimit;
+        const slot = pos.hashLo & TT_MASK;
+        let ttMove = -1;
+        if (useTable && tt.flag[slot] && tt.check[slot] === pos.hashHi) {
+            ttMove = tt.move[slot];
+            if (tt.depth[slot] >= depth) {
+                const score = tt.score[slot];
+                if (tt.flag[slot] === TT_EXACT) return score;
+                if (tt.flag[slot] === TT_LOWER && score >= beta) return score;
+                if (tt.flag[slot] === TT_UPPER && score <= alpha) return score;
+            }
+        }
+
+        const alphaIn = alpha;
+        let best = -Infinity, bestMove = -1;
+        for (let i = -1; i < moveOrder.length; i++) {
+            // The table's best move first, then centre outwards
+            const move = i === -1 ? ttMove : moveOrder[i];
+            if (move === -1 || (i >= 0 && move === ttMove) || !isLegal(pos, move, player)) continue;
+            const score = scoreMove(s, move, player, depth, alpha, beta);
+            if (score > best) {
+                best = score;
+                bestMove = move;
+            }
+            if (score > alpha) alpha = score;
+            if (alpha >= beta) break;
+        }
+        if (bestMove === -1) {
+            // A full PopOut board with nothing of ours to pop: the game is drawn
+            const score = evaluate(pos, s);
+            return player === 2 ? score : -score;
+        }
+
+        if (!useTable) return best;
+        tt.check[slot] = pos.hashHi;
+        tt.score[slot] = best;
+        tt.depth[slot] = depth;
+        tt.flag[slot] = best <= alphaIn ? TT_UPPER : (best >= beta ? TT_LOWER : TT_EXACT);
+        tt.move[slot] = bestMove;
+        return best;
+    }
+
+    function searchRoot(s, depth, player) {
+        // Exact score of every move for `player` at this depth (full window
+        // per move, so the evals shown are real values, not bounds)
+        const { pos } = s;
+        const evals = Array(pos.g.popOut ? pos.g.cols * 2 : pos.g.cols).fill(null);
+        for (const move of pos.g.moveOrder) {
+            if (isLegal(pos, move, player)) evals[move] = scoreMove(s, move, player, depth, -Infinity, Infinity);
+        }
+        return evals;
+    }
+
+    function iterativeSearch(m, player, maxDepth, timeBudget, onProgress) {
+        // Deepens one ply at a time until maxDepth or the time budget runs
+        // out; an unfinished iteration is thrown away. Returns the last
+        // complete iteration: {evals, depth, nodes}
+        const g = geometry(m.model.variant);
+        const pos = toPosition(g, m.board);
+        const { attack = {}, defend = {} } = m.model.threatWeights || {};
+        const s = {
+            pos,
+            openingWeight: m.model.openingWeight,
+            attack: threatMultipliers(g, attack),
+            defend: threatMultipliers(g, defend),
+            ply: m.moveHistory.length, // Moves played so far in the game, counting the search's
+            nodes: 0,
+            deadline: 0
+        };
+        const limit = Math.min(maxDepth, g.moveLimit - s.ply);
+        const started = Date.now();
+        clearTable();
+        let result = null;
+        for (let depth = 1; depth <= limit; depth++) {
+            // The first iteration always completes so there is a move to play
+            s.deadline = timeBudget && depth > 1 ? started + timeBudget : 0;
+            try {
+                result = { evals: searchRoot(s, depth, player), depth };
+            } catch (e) {
+                if (e !== TIMEOUT) throw e;
+                break; // The abandoned position is never looked at again
+            }
+            if (onProgress) onProgress({ depth, evals: [...result.evals], nodes: s.nodes });
+            // A forced win or loss everywhere can't change with more depth
+            if (result.evals.every(v => v === null || Math.abs(v) >= WIN_SCORE)) break;
+        }
+        result.nodes = s.nodes;
+        return result;
+    }
+
+    function bookBias(m, move) {
+        // Eval nudge for playing `move` now, based on how this line went before
+        if (m.moveHistory.length >= OPENING_BOOK_PLIES) return 0;
+        let node = m.model.openingBook;
+        for (const c of m.moveHistory) {
+            node = node.next[c];
+            if (!node) return 0;
+        }
+        const child = node.next[move];
+        if (!child || child.n < BOOK_MIN_GAMES) return 0;
+        return ((child.ai - child.pl) / child.n) * BOOK_WEIGHT;
+    }
+
+    function searchMove(m, player, { timeBudget = 0, depth = m.model.aiDepth, onProgress = null } = {}) {
+        // Scores every move for `player` (1 = the human, for hints; 2 = the
+        // AI) and picks the best one: {move, evals, depth, nodes, bookSteered}.
+        // Evals are from that player's side, indexed by move. With a time
+        // budget (ms) the depth reached depends on the machine: searching
+        // again to exactly that depth, without a budget, gives the same move.
+        // onProgress gets {depth, evals, nodes} after each completed depth
+        // (evals before the opening book's nudge, which only the AI uses).
+        const valid = legalMoves(m, player);
+        const result = iterativeSearch(m, player, depth, timeBudget, onProgress);
+        const evals = result.evals.map(() => null);
+        let bestMove = valid[0];
+        let bestScore = -Infinity;
+        let bookSteered = false;
+        for (const move of valid) {
+            let score = result.evals[move];
+            // Only let the opening book break ties between non-decisive lines
+            const bias = player === 2 && Math.abs(score) < 1000 ? bookBias(m, move) : 0;
+            if (bias !== 0) {
+                score += bias;
+                bookSteered = true;
+            }
+            evals[move] = score;
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = move;
+            }
+        }
+        return { move: bestMove, evals, depth: result.depth, nodes: result.nodes, bookSteered };
+    }
+
+    function searchAiMove(m, opts) {
+        // searchMove for the AI, keeping the details on the match
+        // (m.moveEvals, m.searchDepth, ...) for the board and insights
+        const result = searchMove(m, 2, opts);
+        m.moveEvals = result.evals;
+        m.searchDepth = result.depth;
+        m.searchNodes = result.nodes;
+        m.bookSteered = result.bookSteered;
+        return result.move;
+    }
+
+    // --- Post-game analysis ---
+
+    const ANALYSIS_DEPTH = 8; // Deepest an analysed move is searched, time budget permitting
+    const BLUNDER_SWING = 200; // Eval lost against the best move that counts as a blunder
+
+    function analyseMove(variant, moves, ply, { depth = ANALYSIS_DEPTH, timeBudget = 0 } = {}) {
+        // Scores move `ply` of a finished game against the best one the
+        // mover had, deepening like the live search (within timeBudget ms, if
+        // given) and with the plain heuristic (no learned column or threat
+        // weights, no opening book): {move, player, eval, bestMove, bestEval,
+        // swing, blunder, depth}. eval and bestEval are from the mover's
+        // side; swing is what the move gave up
+        const m = { board: newBoard(geometry(variant)), moveHistory: moves.slice(0, ply), model: { variant, openingWeight: {} } };
+        m.moveHistory.forEach((move, i) => applyMove(m.board, move, i % 2 === 0 ? 1 : 2));
+        const move = moves[ply];
+        const player = ply % 2 === 0 ? 1 : 2;
+        const result = iterativeSearch(m, player, depth, timeBudget, null);
+        const { evals } = result;
+        let bestMove = move;
+        evals.forEach((v, other) => {
+            if (v !== null && v > evals[bestMove]) bestMove = other;
+        });
+        const swing = evals[bestMove] - evals[move];
+        return { move, player, eval: evals[move], bestMove, bestEval: evals[bestMove], swing, blunder: swing >= BLUNDER_SWING, depth: result.depth };
+    }
+
+    // --- Match ---
+
+    function createMatch(model) {
+        return {
+            model,
+            board: newBoard(geometry(model.variant)), // 0=empty, 1=player, 2=AI
+            gameOver: false,
+            winner: 0,
+            winCells: [],
+            moveHistory: [],
+            moveEvals: [], // Evaluation scores for each move
+            searchDepth: 0, // Depth the last search completed
+            searchNodes: 0, // Positions it visited
+            bookSteered: false // Whether the last AI move was nudged by the book
+        };
+    }
+
+    function play(m, move, player) {
+        // Drops (or pops) a piece and does the bookkeeping; returns false when the game ended
+        const g = geometry(m.model.variant);
+        applyMove(m.board, move, player);
+        m.moveHistory.push(move);
+        if (player === 1 && m.moveHistory.length <= 6) {
+            // Track opening patterns
+            const key = m.moveHistory.filter((_, i) => i % 2 === 0).join(',');
+            m.model.playerOpenings[key] = (m.model.playerOpenings[key] || 0) + 1;
+        }
+
+        // A pop can complete the opponent's line too; the mover's counts first
+        let winner = player;
+        let win = checkWin(m.board, player, g.connect);
+        if (!win && move >= g.cols) {
+            winner = 3 - player;
+            win = checkWin(m.board, winner, g.connect);
+        }
+        if (win) {
+            m.gameOver = true;
+            m.winner = winner;
+            m.winCells = win;
+            return false;
+        }
+        if (legalMoves(m, 3 - player).length === 0 || m.moveHistory.length >= g.moveLimit) {
+            m.gameOver = true;
+            return false;
+        }
+        return true;
+    }
+
+    function resultOf(m) {
+        return m.winner === 1 ? 'win' : (m.winner === 2 ? 'loss' : 'draw');
+    }
+
+    function playerColumnCounts(m) {
+        // Where the player dropped pieces (pops aren't column choices)
+        const colCounts = Array(m.board[0].length).fill(0);
+        m.moveHistory.forEach((c, i) => { if (i % 2 === 0 && c < colCounts.length) colCounts[c]++; });
+        return colCounts;
+    }
+
+    function threatStyle(m) {
+        // The direction the player's threats ran in this match, if one stands out
+        const { built } = threatStats(m);
+        const [top, ...rest] = ['horizontal', 'vertical', 'diagonal']
+            .map(dir => [dir, built.types[dir] || 0])
+            .sort((a, b) => b[1] - a[1]);
+        const leads = rest.every(([, n]) => top[1] >= n * THREAT_STYLE_LEAD);
+        return top[1] >= THREAT_STYLE_MIN && leads ? top[0] : null;
+    }
+
+    function detectPatterns(m) {
+        // Analyze player's column preferences and threat-building style
+        const patterns = [];
+        const colCounts = playerColumnCounts(m);
+        const { center } = geometry(m.model.variant);
+        const total = colCounts.reduce((a, b) => a + b, 0);
+        if (total > 0) {
+            const share = cols => Math.round((cols.reduce((a, c) => a + colCounts[c], 0) / total) * 100);
+            const all = [...colCounts.keys()];
+            if (share([center]) > 40) patterns.push('Opens center in Connect 4');
+            if (share(all.filter(c => c < center)) > 60) patterns.push('Favors left side in Connect 4');
+            if (share(all.filter(c => c > center)) > 60) patterns.push('Favors right side in Connect 4');
+        }
+        const style = threatStyle(m);
+        if (style) patterns.push(`Builds ${style} threats in Connect 4`);
+        return patterns;
+    }
+
+    function threatsOf(pos, player) {
+        // The player's threats on the board, keyed by window and empty cell
+        const { connect, cells, winLo, winHi } = pos.g;
+        const other = 3 - player;
+        const threats = new Map();
+        for (let w = 0; w < winLo.length; w++) {
+            const own = popcount(pos.lo[player] & winLo[w]) + popcount(pos.hi[player] & winHi[w]);
+            const blocked = (pos.lo[other] & winLo[w]) | (pos.hi[other] & winHi[w]);
+            if (own === connect - 1 && !blocked) {
+                const cell = emptyCell(pos, w);
+                threats.set(w * cells + cell, { w, cell });
+            }
+        }
+        return threats;
+    }
+
+    function threatStats(m) {
+        // Replays the match and tallies threats by type: those the player
+        // built, and the AI's, split into all and those the player never
+        // blocked (the AI completed them, or they were open at the end).
+        // Threats a pop broke up count as neither
+        const g = geometry(m.model.variant);
+        const board = newBoard(g);
+        const tally = () => ({ n: 0, types: {} });
+        const built = tally(), aiBuilt = tally(), unblocked = tally();
+        const count = (t, { w, cell }) => {
+            t.n++;
+            for (const type of [g.winDir[w], ...g.cellTypes[cell]]) t.types[type] = (t.types[type] || 0) + 1;
+        };
+        let playerThreats = new Map();
+        const aiOpen = new Map();
+        m.moveHistory.forEach((move, i) => {
+            applyMove(board, move, i % 2 === 0 ? 1 : 2);
+            const pos = toPosition(g, board);
+            const mine = threatsOf(pos, 1);
+            for (const [key, threat] of mine) {
+                if (!playerThreats.has(key)) count(built, threat);
+            }
+            playerThreats = mine;
+
+            const ai = threatsOf(pos, 2);
+            for (const [key, threat] of aiOpen) {
+                if (ai.has(key)) continue;
+                aiOpen.delete(key);
+                if (owns(pos, 2, threat.cell)) count(unblocked, threat);
+            }
+            for (const [key, threat] of ai) {
+                if (aiOpen.has(key)) continue;
+                aiOpen.set(key, threat);
+                count(aiBuilt, threat);
+            }
+        });
+        for (const threat of aiOpen.values()) count(unblocked, threat);
+        return { built, aiBuilt, unblocked };
+    }
+
+    function learnThreats(model, m) {
+        // Defend weights follow the shapes the player builds; attack weights
+        // follow how often the player leaves each shape of the AI's open
+        const { built, aiBuilt, unblocked } = threatStats(m);
+        const { defend, attack } = model.threatWeights;
+        const learn = (weights, type, rate) => {
+            const w = (weights[type] || 0) * THREAT_DECAY + rate * THREAT_RATE;
+            weights[type] = Math.round(w * 1000) / 1000;
+        };
+        for (const type of THREAT_TYPES) {
+            if (built.n > 0) learn(defend, type, (built.types[type] || 0) / built.n);
+            if (aiBuilt.n > 0) {
+                const made = aiBuilt.types[type] || 0;
+                learn(attack, type, made ? (unblocked.types[type] || 0) / made : 0);
+            }
+        }
+    }
+
+    function finish(m) {
+        // Learn from a finished match: column weights, threat weights and the opening book
+        const { model } = m;
+        const colCounts = playerColumnCounts(m);
+        if (colCounts.some(n => n > 0)) {
+            for (let c = 0; c < colCounts.length; c++) {
+                const w = (model.openingWeight[c] || 0) * OPENING_WEIGHT_DECAY + colCounts[c] * 0.5;
+                model.openingWeight[c] = Math.round(w * 100) / 100;
+            }
+        }
+        learnThreats(model, m);
+
+        // Walk the opening line, creating nodes as needed, and tally the outcome
+        const result = resultOf(m);
+        let node = model.openingBook;
+        const line = [node];
+        for (const move of m.moveHistory.slice(0, OPENING_BOOK_PLIES)) {
+            if (!node.next[move]) node.next[move] = newBookNode();
+            node = node.next[move];
+            line.push(node);
+        }
+        for (const n of line) {
+            n.n++;
+            if (result === 'loss') n.ai++;
+            else if (result === 'win') n.pl++;
+        }
+    }
+
+    return {
+        VARIANTS, DEFAULT_VARIANT, THREAT_TYPES, MAX_DEPTH, WIN_SCORE, BLUNDER_SWING,
+        depthFor, loadModel, restoreModel, exportModel, getValidCols, legalMoves, landingRow, applyMove,
+        createMatch, searchMove, searchAiMove, analyseMove, play, resultOf, detectPatterns, finish
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = Connect4Sim;
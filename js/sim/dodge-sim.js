@@ -0,0 +1,362 @@
+/**
+ * NEURAL ARENA — Dodge Arena Simulation
+ * Rendering-free rules and the heatmap targeting AI. One step() is one frame;
+ * input is a bitmask of held directions (see INPUT_BITS). Hits, new waves and
+ * the end of a run are reported in match.events.
+ */
+const DodgeSim = (() => {
+    const W = 700, H = 500;
+    const PLAYER_SIZE = 14;
+    const PROJECTILE_SIZE = 6;
+    const PLAYER_SPEED = 4;
+    const MAX_HP = 3;
+    const INPUT_BITS = { left: 1, right: 2, up: 4, down: 8 };
+
+    // AI Learning — Movement heatmap
+    const GRID = 20; // heatmap grid resolution
+    const HISTORY_DECAY = 0.7; // Weight of past runs when merging a new one
+    const HISTORY_TRUST = 0.25; // One historical sample counts as this many live ones
+
+    // Wave system
+    const WAVE_DURATION = 600; // frames per wave
+    const BURST_SPACING = 6; // frames between burst shots
+
+    function emptyGrid() {
+        return Array.from({ length: GRID }, () => Array(GRID).fill(0));
+    }
+
+    // --- Model (long-term memory carried across runs, decayed each run) ---
+
+    function loadModel(saved = {}) {
+        const valid = Array.isArray(saved.heatmap) && saved.heatmap.length === GRID;
+        return {
+            heatmap: valid ? saved.heatmap.map(col => col.slice()) : emptyGrid(),
+            dodgeSummary: saved.dodgeSummary ? { ...saved.dodgeSummary } : { dx: 0, dy: 0, n: 0 } // average dodge vector
+        };
+    }
+
+    function exportModel(model) {
+        return {
+            heatmap: model.heatmap.map(col => col.slice()),
+            dodgeSummary: { ...model.dodgeSummary }
+        };
+    }
+
+    function mergeRun(model, m) {
+        // Fold a finished (or abandoned) run into the long-term memory
+        for (let i = 0; i < GRID; i++) {
+            for (let j = 0; j < GRID; j++) {
+                const v = model.heatmap[i][j] * HISTORY_DECAY + m.heatmap[i][j];
+                model.heatmap[i][j] = Math.round(v * 100) / 100;
+            }
+        }
+
+        const { dodgeHistory } = m;
+        if (dodgeHistory.length > 0) {
+            const prev = model.dodgeSummary;
+            const prevN = prev.n * HISTORY_DECAY;
+            const n = prevN + dodgeHistory.length;
+            const sumDx = dodgeHistory.reduce((a, d) => a + d.dx, 0);
+            const sumDy = dodgeHistory.reduce((a, d) => a + d.dy, 0);
+            model.dodgeSummary = {
+                dx: Math.round(((prev.dx * prevN + sumDx) / n) * 1000) / 1000,
+                dy: Math.round(((prev.dy * prevN + sumDy) / n) * 1000) / 1000,
+                n: Math.round(n * 100) / 100
+            };
+        }
+    }
+
+    // --- Targeting ---
+
+    function getHeatmapHotspot(m) {
+        // Find the cell the player visits most
+        let maxVal = 0, maxGx = GRID / 2, maxGy = GRID / 2;
+        for (let i = 0; i < GRID; i++) {
+            for (let j = 0; j < GRID; j++) {
+                if (m.heatmap[i][j] > maxVal) {
+                    maxVal = m.heatmap[i][j];
+                    maxGx = i;
+                    maxGy = j;
+                }
+            }
+        }
+        return {
+            x: (maxGx + 0.5) * (W / GRID),
+            y: (maxGy + 0.5) * (H / GRID),
+            confidence: m.totalSamples > 50 ? maxVal / m.totalSamples : 0
+        };
+    }
+
+    function getTargetHotspot(m) {
+        // Blend the live heatmap with past runs; history fades out as live data accrues
+        const { heatmap, totalSamples, historySamples } = m;
+        const histWeight = historySamples * HISTORY_TRUST;
+        m.historyShare = histWeight > 0 ? histWeight / (histWeight + totalSamples) : 0;
+        if (m.historyShare === 0) return getHeatmapHotspot(m);
+
+        const history = m.model.heatmap;
+        let maxVal = 0, maxGx = GRID / 2, maxGy = GRID / 2;
+        for (let i = 0; i < GRID; i++) {
+            for (let j = 0; j < GRID; j++) {
+                const live = totalSamples > 0 ? heatmap[i][j] / totalSamples : 0;
+                const val = live * (1 - m.historyShare) + (history[i][j] / historySamples) * m.historyShare;
+                if (val > maxVal) {
+                    maxVal = val;
+                    maxGx = i;
+                    maxGy = j;
+                }
+            }
+        }
+        return {
+            x: (maxGx + 0.5) * (W / GRID),
+            y: (maxGy + 0.5) * (H / GRID),
+            confidence: maxVal
+        };
+    }
+
+    function predictPlayerPos(m) {
+        // Predict where player will be based on recent velocity
+        const { player, playerVelHistory } = m;
+        if (playerVelHistory.length < 5) return { x: player.x, y: player.y };
+        const recent = playerVelHistory.slice(-5);
+        const avgVx = recent.reduce((a, v) => a + v.vx, 0) / recent.length;
+        const avgVy = recent.reduce((a, v) => a + v.vy, 0) / recent.length;
+        // Predict 20 frames ahead
+        return {
+            x: Math.max(PLAYER_SIZE, Math.min(W - PLAYER_SIZE, player.x + avgVx * 20)),
+            y: Math.max(PLAYER_SIZE, Math.min(H - PLAYER_SIZE, player.y + avgVy * 20))
+        };
+    }
+
+    function spawnProjectile(m) {
+        const { rng, player } = m;
+        const summary = m.model.dodgeSummary;
+        const hotspot = getTargetHotspot(m);
+        const predicted = predictPlayerPos(m);
+        const adaptLevel = Math.min(1, (m.totalSamples + m.historySamples * HISTORY_TRUST) / 300); // 0-1 adaptation scale
+
+        // Until this run has its own dodge data, lean on the remembered dodge direction
+        if (m.dodgeHistory.length < 10 && summary.n > 10) {
+            predicted.x += summary.dx * 30;
+            predicted.y += summary.dy * 30;
+        }
+
+        // Mix targeting: random → player → predicted → hotspot
+        let targetX, targetY;
+        const r = rng();
+        if (r < 0.3 * (1 - adaptLevel)) {
+            // Random target
+            targetX = rng() * W;
+            targetY = rng() * H;
+        } else if (r < 0.5) {
+            // Aim at current position
+            targetX = player.x;
+            targetY = player.y;
+        } else if (r < 0.75) {
+            // Aim at predicted position
+            targetX = predicted.x + (rng() - 0.5) * 40;
+            targetY = predicted.y + (rng() - 0.5) * 40;
+        } else {
+            // Aim at hotspot
+            targetX = hotspot.x + (rng() - 0.5) * 60;
+            targetY = hotspot.y + (rng() - 0.5) * 60;
+        }
+
+        // Spawn from edges
+        let sx, sy;
+        const side = Math.floor(rng() * 4);
+        if (side === 0) { sx = -10; sy = rng() * H; }
+        else if (side === 1) { sx = W + 10; sy = rng() * H; }
+        else if (side === 2) { sx = rng() * W; sy = -10; }
+        else { sx = rng() * W; sy = H + 10; }
+
+        const dx = targetX - sx;
+        const dy = targetY - sy;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const speed = 2.5 + m.wave * 0.3 + adaptLevel;
+
+        m.projectiles.push({
+            x: sx, y: sy,
+            vx: (dx / dist) * speed,
+            vy: (dy / dist) * speed,
+            size: PROJECTILE_SIZE,
+            adapted: adaptLevel > 0.5,
+            predicted: r >= 0.5 // Was this an "adapted" shot?
+        });
+    }
+
+    // --- Match ---
+
+    function createMatch(model, rng) {
+        const historySamples = model.heatmap.reduce((s, col) => s + col.reduce((a, b) => a + b, 0), 0);
+        return {
+            model,
+            rng,
+            player: { x: W / 2, y: H / 2, vx: 0, vy: 0 },
+            score: 0,
+            wave: 1,
+            hp: MAX_HP,
+            maxHp: MAX_HP,
+            gameOver: false,
+            invincible: false,
+            invTimer: 0,
+            gameTime: 0, // frames
+            projectiles: [],
+            spawnTimer: 0,
+            spawnRate: 40, // frames between spawns
+            waveTimer: WAVE_DURATION,
+            burstQueue: [], // gameTime frames of pending burst shots
+            heatmap: emptyGrid(), // GRID x GRID array of visit counts this run
+            totalSamples: 0,
+            historySamples,
+            historyShare: historySamples > 0 ? 1 : 0, // Nothing live yet
+            dodgeHistory: [], // last N dodge vectors
+            playerVelHistory: [],
+            aiAccuracy: 0, // How many adapted shots landed
+            events: []
+        };
+    }
+
+    function movePlayer(m, bits) {
+        const { player } = m;
+        let vx = 0, vy = 0;
+        if (bits & INPUT_BITS.left) vx -= PLAYER_SPEED;
+        if (bits & INPUT_BITS.right) vx += PLAYER_SPEED;
+        if (bits & INPUT_BITS.up) vy -= PLAYER_SPEED;
+        if (bits & INPUT_BITS.down) vy += PLAYER_SPEED;
+
+        // Normalize diagonal
+        if (vx !== 0 && vy !== 0) {
+            vx *= 0.707;
+            vy *= 0.707;
+        }
+
+        player.vx = vx;
+        player.vy = vy;
+        player.x += vx;
+        player.y += vy;
+        player.x = Math.max(PLAYER_SIZE, Math.min(W - PLAYER_SIZE, player.x));
+        player.y = Math.max(PLAYER_SIZE, Math.min(H - PLAYER_SIZE, player.y));
+    }
+
+    function step(m, bits) {
+        m.events = [];
+        if (m.gameOver) return;
+        m.gameTime++;
+
+        movePlayer(m, bits);
+        const { player, projectiles } = m;
+
+        // Track movement
+        const gx = Math.floor((player.x / W) * GRID);
+        const gy = Math.floor((player.y / H) * GRID);
+        if (gx >= 0 && gx < GRID && gy >= 0 && gy < GRID) {
+            m.heatmap[gx][gy]++;
+            m.totalSamples++;
+        }
+        m.playerVelHistory.push({ vx: player.vx, vy: player.vy });
+        if (m.playerVelHistory.length > 30) m.playerVelHistory.shift();
+
+        // Spawn projectiles
+        m.spawnTimer--;
+        if (m.spawnTimer <= 0) {
+            spawnProjectile(m);
+            m.spawnTimer = Math.max(8, m.spawnRate - m.wave * 2);
+            // Occasional burst
+            if (m.wave > 2 && m.rng() < 0.15) {
+                for (let i = 0; i < 3; i++) m.burstQueue.push(m.gameTime + i * BURST_SPACING);
+            }
+        }
+        // Bursts are scheduled in frames, not wall time, so replays line up
+        while (m.burstQueue.length > 0 && m.burstQueue[0] <= m.gameTime) {
+            m.burstQueue.shift();
+            spawnProjectile(m);
+        }
+
+        // Update projectiles
+        for (let i = projectiles.length - 1; i >= 0; i--) {
+            const p = projectiles[i];
+            p.x += p.vx;
+            p.y += p.vy;
+
+            // Remove if off screen
+            if (p.x < -30 || p.x > W + 30 || p.y < -30 || p.y > H + 30) {
+                projectiles.splice(i, 1);
+                continue;
+            }
+
+            // Collision with player
+            const dx = p.x - player.x;
+            const dy = p.y - player.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist < PLAYER_SIZE + p.size) {
+                if (!m.invincible) {
+                    m.hp--;
+                    m.invincible = true;
+                    m.invTimer = 60;
+                    if (p.predicted) m.aiAccuracy++;
+                    m.events.push({ type: 'hit', x: player.x, y: player.y });
+
+                    if (m.hp <= 0) {
+                        m.gameOver = true;
+                        m.events.push({ type: 'gameover' });
+                        return;
+                    }
+                }
+                projectiles.splice(i, 1);
+                continue;
+            }
+
+            // Near miss tracking (within 3x radius)
+            if (dist < PLAYER_SIZE * 3 && dist > PLAYER_SIZE + p.size) {
+                // Record dodge direction
+                m.dodgeHistory.push({ dx: -dx / dist, dy: -dy / dist });
+                if (m.dodgeHistory.length > 50) m.dodgeHistory.shift();
+            }
+        }
+
+        // Invincibility timer
+        if (m.invincible) {
+            m.invTimer--;
+            if (m.invTimer <= 0) m.invincible = false;
+        }
+
+        // Wave progression
+        m.waveTimer--;
+        m.score++;
+        if (m.waveTimer <= 0) {
+            m.wave++;
+            m.waveTimer = WAVE_DURATION;
+            m.spawnRate = Math.max(12, m.spawnRate - 3);
+            m.events.push({ type: 'wave', wave: m.wave });
+        }
+    }
+
+    function detectPatterns(m) {
+        const patterns = [];
+        const hotspot = getHeatmapHotspot(m);
+        if (hotspot.confidence > 0.1) {
+            const zoneX = hotspot.x < W / 3 ? 'left' : (hotspot.x > W * 2 / 3 ? 'right' : 'center');
+            const zoneY = hotspot.y < H / 3 ? 'top' : (hotspot.y > H * 2 / 3 ? 'bottom' : 'middle');
+            patterns.push(`Hides ${zoneY}-${zoneX} in Dodge`);
+        }
+
+        const { dodgeHistory } = m;
+        if (dodgeHistory.length > 10) {
+            const avgDx = dodgeHistory.reduce((a, d) => a + d.dx, 0) / dodgeHistory.length;
+            if (Math.abs(avgDx) > 0.3) {
+                patterns.push(`Dodges ${avgDx > 0 ? 'right' : 'left'} in Dodge`);
+            }
+        }
+        return patterns;
+    }
+
+    return {
+        W, H, GRID, PLAYER_SIZE, WAVE_DURATION, INPUT_BITS,
+        loadModel, exportModel, mergeRun, createMatch, step,
+        getHeatmapHotspot, detectPatterns
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = DodgeSim;
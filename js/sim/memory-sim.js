@@ -0,0 +1,249 @@
+/**
+ * NEURAL ARENA — Memory Match Simulation
+ * Rendering-free deal, flip/resolve rules and the adaptive recall model. A
+ * round is dealt from a seeded generator; cards carry no layout, the view
+ * decorates them with positions and animation state.
+ */
+const MemorySim = (() => {
+    const CARD_SYMBOLS = ['🧠', '⚡', '🔥', '💎', '🎯', '🌀', '👁️', '🚀', '🎲', '💫', '🦾', '🌙'];
+    const RECALL_DECAY = 0.8; // Weight of past sessions' recall data
+
+    function getGridForDifficulty(diff) {
+        switch (diff) {
+            case 1: return { cols: 4, rows: 3 }; // 6 pairs
+            case 2: return { cols: 4, rows: 4 }; // 8 pairs
+            case 3: return { cols: 5, rows: 4 }; // 10 pairs
+            case 4: return { cols: 6, rows: 4 }; // 12 pairs
+            case 5: return { cols: 6, rows: 5 }; // 15 pairs (add 3 more symbols)
+            default: return { cols: 4, rows: 4 };
+        }
+    }
+
+    function positionKey(grid, index) {
+        // Card indexes mean different spots on different grids, so recall is kept per grid size
+        return `${grid.cols}x${grid.rows}:${index}`;
+    }
+
+    // --- Model ---
+
+    function loadModel(saved = {}) {
+        // Everything that shapes the deal and the adaptation (also a replay's snapshot)
+        return {
+            recallModel: JSON.parse(JSON.stringify(saved.recallModel || {})), // {positionKey: {seen, recalled}}
+            symbolDifficulty: JSON.parse(JSON.stringify(saved.symbolDifficulty || {})), // {symbol: {seen, recalled}}
+            difficulty: saved.difficulty || 2, // 1-5
+            consecutiveMatches: saved.consecutiveMatches || 0,
+            consecutiveMisses: saved.consecutiveMisses || 0
+        };
+    }
+
+    function ageCounts(counts) {
+        const aged = {};
+        for (const [key, v] of Object.entries(counts)) {
+            const seen = Math.round(v.seen * RECALL_DECAY * 100) / 100;
+            if (seen < 0.5) continue;
+            aged[key] = { seen, recalled: Math.round(v.recalled * RECALL_DECAY * 100) / 100 };
+        }
+        return aged;
+    }
+
+    function startSession(model, gamesPlayed) {
+        // Older sessions count for less; aged once per session, saved after each round
+        model.recallModel = ageCounts(model.recallModel);
+        model.symbolDifficulty = ageCounts(model.symbolDifficulty);
+        if (gamesPlayed > 2) model.difficulty = Math.min(5, 2 + Math.floor(gamesPlayed / 3));
+    }
+
+    function exportModel(model) {
+        return {
+            recallModel: JSON.parse(JSON.stringify(model.recallModel)),
+            symbolDifficulty: JSON.parse(JSON.stringify(model.symbolDifficulty))
+        };
+    }
+
+    // --- Deal ---
+
+    function shuffleArray(arr, rng) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+
+    function placeByRecall(pairs, hardSymbols, recallModel, grid) {
+        const recallAt = idx => recallModel[positionKey(grid, idx)];
+        const seenPositions = pairs.filter((_, idx) => recallAt(idx) && recallAt(idx).seen > 0).length;
+        if (hardSymbols.length === 0 || seenPositions < 4) return pairs;
+
+        // Unseen positions count as average recall
+        const rate = idx => {
+            const r = recallAt(idx);
+            return r && r.seen > 0 ? r.recalled / r.seen : 0.5;
+        };
+        const positions = pairs.map((_, idx) => idx).sort((a, b) => rate(a) - rate(b));
+        const hard = pairs.filter(s => hardSymbols.includes(s));
+        const rest = pairs.filter(s => !hardSymbols.includes(s));
+        const placed = [];
+        positions.forEach((pos, i) => {
+            placed[pos] = i < hard.length ? hard[i] : rest[i - hard.length];
+        });
+        return placed;
+    }
+
+    function createRound(model, rng) {
+        const grid = getGridForDifficulty(model.difficulty);
+        const totalPairs = (grid.cols * grid.rows) / 2;
+
+        // Select symbols — put harder ones (for this player) in if AI is adapted
+        let selectedSymbols = CARD_SYMBOLS.slice(0, totalPairs);
+        let hardSymbols = [];
+
+        // If we have recall data, prefer symbols the player struggled with
+        const { symbolDifficulty } = model;
+        if (Object.keys(symbolDifficulty).length > 3) {
+            const sorted = Object.entries(symbolDifficulty)
+                .sort(([, a], [, b]) => (a.recalled / Math.max(1, a.seen)) - (b.recalled / Math.max(1, b.seen)));
+            hardSymbols = sorted.slice(0, Math.ceil(totalPairs / 2)).map(([s]) => s);
+            const available = CARD_SYMBOLS.filter(s => !hardSymbols.includes(s));
+            const easyFill = available.slice(0, totalPairs - hardSymbols.length);
+            selectedSymbols = [...hardSymbols, ...easyFill].slice(0, totalPairs);
+        }
+
+        // Create pairs
+        let symbolPairs = [];
+        for (const sym of selectedSymbols) {
+            symbolPairs.push(sym, sym);
+        }
+
+        // Smart placement — put harder symbols in positions player recalls poorly
+        symbolPairs = placeByRecall(shuffleArray(symbolPairs, rng), hardSymbols, model.recallModel, grid);
+
+        return {
+            model,
+            gridCols: grid.cols,
+            gridRows: grid.rows,
+            totalPairs,
+            cards: Array.from({ length: grid.cols * grid.rows }, (_, index) => ({
+                symbol: symbolPairs[index], index, flipped: false, matched: false
+            })),
+            flippedCards: [], // currently flipped (max 2)
+            matched: 0,
+            moves: 0,
+            gameOver: false,
+            roundDifficulty: model.difficulty, // difficulty the round was dealt at
+            difficultyDirection: 'stable' // 'harder' | 'easier' | 'stable', set when the round ends
+        };
+    }
+
+    // --- Play ---
+
+    function flipCard(m, index) {
+        const card = m.cards[index];
+        card.flipped = true;
+        m.flippedCards.push(card);
+
+        // Track that player has seen this position
+        const { recallModel } = m.model;
+        const key = positionKey({ cols: m.gridCols, rows: m.gridRows }, index);
+        if (!recallModel[key]) recallModel[key] = { seen: 0, recalled: 0 };
+        recallModel[key].seen++;
+
+        if (m.flippedCards.length === 2) m.moves++;
+        return card;
+    }
+
+    function resolvePair(m) {
+        // Settles the two flipped cards; returns true on a match
+        const { model } = m;
+        const { recallModel, symbolDifficulty } = model;
+        const [a, b] = m.flippedCards;
+        m.flippedCards = [];
+
+        if (a.symbol === b.symbol) {
+            // Match!
+            a.matched = true;
+            b.matched = true;
+            m.matched++;
+
+            // Track recall success
+            for (const card of [a, b]) {
+                const r = recallModel[positionKey({ cols: m.gridCols, rows: m.gridRows }, card.index)];
+                if (r) r.recalled++;
+            }
+
+            // Track symbol difficulty
+            if (!symbolDifficulty[a.symbol]) symbolDifficulty[a.symbol] = { seen: 0, recalled: 0 };
+            symbolDifficulty[a.symbol].recalled++;
+            symbolDifficulty[a.symbol].seen++;
+
+            model.consecutiveMatches++;
+            model.consecutiveMisses = 0;
+
+            if (m.matched >= m.totalPairs) {
+                m.gameOver = true;
+                adaptDifficulty(m);
+            }
+            return true;
+        }
+
+        // Mismatch
+        a.flipped = false;
+        b.flipped = false;
+
+        // Track symbol difficulty (miss)
+        if (!symbolDifficulty[a.symbol]) symbolDifficulty[a.symbol] = { seen: 0, recalled: 0 };
+        if (!symbolDifficulty[b.symbol]) symbolDifficulty[b.symbol] = { seen: 0, recalled: 0 };
+        symbolDifficulty[a.symbol].seen++;
+        symbolDifficulty[b.symbol].seen++;
+
+        model.consecutiveMisses++;
+        model.consecutiveMatches = 0;
+        return false;
+    }
+
+    function adaptDifficulty(m) {
+        const { model } = m;
+        const avgMovesPer = m.moves / m.totalPairs;
+        if (avgMovesPer < 2.5 && model.consecutiveMatches > 3) {
+            m.difficultyDirection = 'harder';
+            model.difficulty = Math.min(5, model.difficulty + 1);
+        } else if (avgMovesPer > 4) {
+            m.difficultyDirection = 'easier';
+            model.difficulty = Math.max(1, model.difficulty - 1);
+        } else {
+            m.difficultyDirection = 'stable';
+        }
+    }
+
+    function hardestSymbols(model) {
+        return Object.entries(model.symbolDifficulty)
+            .filter(([, v]) => v.seen > 1)
+            .sort(([, a], [, b]) => (a.recalled / a.seen) - (b.recalled / b.seen))
+            .map(([s]) => s);
+    }
+
+    function detectPatterns(m) {
+        const patterns = [];
+        const efficiency = m.totalPairs > 0 ? (m.totalPairs / m.moves * 100) : 0;
+
+        if (efficiency > 70) patterns.push('Excellent memory recall');
+        else if (efficiency < 40) patterns.push('Struggles with memory pairs');
+
+        if (m.model.consecutiveMatches > 4) patterns.push('Goes on match streaks');
+
+        // Check which symbols were hardest
+        const hardest = hardestSymbols(m.model);
+        if (hardest.length > 0) {
+            patterns.push(`Struggles with ${hardest[0]} pairs`);
+        }
+        return patterns;
+    }
+
+    return {
+        loadModel, startSession, exportModel, createRound,
+        flipCard, resolvePair, hardestSymbols, detectPatterns
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = MemorySim;
@@ -0,0 +1,232 @@
+/**
+ * NEURAL ARENA — Pattern Duel Simulation
+ * Rendering-free rules and the Markov chain predictor. A match advances one
+ * round per playRound(); the caller owns timing, sounds and effects.
+ */
+const PatternDuelSim = (() => {
+    // Symbols: each beats the two after it (circular)
+    const SYMBOLS = [
+        { id: 0, name: 'FIRE',    beats: [2, 3] },
+        { id: 1, name: 'WATER',   beats: [0, 4] },
+        { id: 2, name: 'NATURE',  beats: [1, 3] },
+        { id: 3, name: 'THUNDER', beats: [1, 4] },
+        { id: 4, name: 'STONE',   beats: [0, 2] }
+    ];
+    const MAX_ROUNDS = 25;
+
+    // Markov chain: maps n-gram keys to frequency of next choice
+    // e.g. markov["0,1"] = {0: 3, 1: 1, 2: 5, 3: 0, 4: 2}
+    const MAX_ORDER = 4; // up to 4-gram
+    const MARKOV_DECAY = 0.85; // Applied after every match so old habits fade
+    const MARKOV_MIN_COUNT = 0.05; // Transitions that decay below this are dropped
+
+    // --- Model ---
+
+    function loadModel(saved = {}) {
+        return { markov: saved.markov ? JSON.parse(JSON.stringify(saved.markov)) : {} };
+    }
+
+    function exportModel(model) {
+        return { markov: JSON.parse(JSON.stringify(model.markov)) };
+    }
+
+    function decayModel(model) {
+        const { markov } = model;
+        for (const [key, transitions] of Object.entries(markov)) {
+            for (const choice of Object.keys(transitions)) {
+                const count = Math.round(transitions[choice] * MARKOV_DECAY * 1000) / 1000;
+                if (count < MARKOV_MIN_COUNT) delete transitions[choice];
+                else transitions[choice] = count;
+            }
+            if (Object.keys(transitions).length === 0) delete markov[key];
+        }
+    }
+
+    // --- AI ---
+
+    function updateMarkov(m, choice) {
+        // Update all n-gram orders
+        const { markov } = m.model;
+        for (let order = 1; order <= MAX_ORDER; order++) {
+            if (m.playerHistory.length >= order) {
+                const key = m.playerHistory.slice(-order).join(',');
+                if (!markov[key]) markov[key] = {};
+                markov[key][choice] = (markov[key][choice] || 0) + 1;
+            }
+        }
+    }
+
+    function predictPlayer(m) {
+        // Weighted prediction from highest order to lowest
+        let prediction = -1;
+        let bestConfidence = 0;
+
+        for (let order = MAX_ORDER; order >= 1; order--) {
+            if (m.playerHistory.length < order) continue;
+            const key = m.playerHistory.slice(-order).join(',');
+            const transitions = m.model.markov[key];
+            if (!transitions) continue;
+
+            const total = Object.values(transitions).reduce((a, b) => a + b, 0);
+            if (total < 2) continue; // Need enough data
+
+            let bestChoice = -1, bestCount = 0;
+            for (const [choice, count] of Object.entries(transitions)) {
+                if (count > bestCount) {
+                    bestCount = count;
+                    bestChoice = parseInt(choice);
+                }
+            }
+
+            const confidence = (bestCount / total) * (1 + order * 0.3); // Higher order = more weight
+            if (confidence > bestConfidence) {
+                bestConfidence = confidence;
+                prediction = bestChoice;
+            }
+        }
+
+        return prediction;
+    }
+
+    function chooseCounter(m, predictedPlayer) {
+        if (predictedPlayer === -1) {
+            // Random if no prediction
+            return Math.floor(m.rng() * 5);
+        }
+        // Find a symbol that beats the predicted choice
+        for (let i = 0; i < 5; i++) {
+            if (SYMBOLS[i].beats.includes(predictedPlayer)) return i;
+        }
+        return Math.floor(m.rng() * 5);
+    }
+
+    function getResult(player, ai) {
+        if (player === ai) return 'draw';
+        if (SYMBOLS[player].beats.includes(ai)) return 'win';
+        return 'loss';
+    }
+
+    // --- Match ---
+
+    function createMatch(model, rng, maxRounds = MAX_ROUNDS) {
+        return {
+            model,
+            rng,
+            playerScore: 0,
+            aiScore: 0,
+            draws: 0,
+            round: 0,
+            maxRounds,
+            gameOver: false,
+            playerHistory: [],
+            aiHistory: [],
+            resultHistory: [],
+            lastPlayerChoice: -1,
+            lastAIChoice: -1,
+            lastResult: '',
+            aiPrediction: -1, // what AI predicted player would choose
+            predictionAccuracy: 0, // correct predictions so far
+            detectedPatterns: [],
+            streaks: { player: 0, ai: 0 }
+        };
+    }
+
+    function playRound(m, choice) {
+        // Returns the round result from the player's side
+        m.round++;
+
+        // AI makes prediction and chooses counter
+        m.aiPrediction = predictPlayer(m);
+        const aiChoice = chooseCounter(m, m.aiPrediction);
+
+        // Update markov BEFORE adding to history
+        updateMarkov(m, choice);
+        m.playerHistory.push(choice);
+        m.aiHistory.push(aiChoice);
+
+        const result = getResult(choice, aiChoice);
+        m.resultHistory.push(result);
+
+        const { streaks } = m;
+        if (result === 'win') {
+            m.playerScore++;
+            streaks.player++;
+            streaks.ai = 0;
+        } else if (result === 'loss') {
+            m.aiScore++;
+            streaks.ai++;
+            streaks.player = 0;
+        } else {
+            m.draws++;
+            streaks.player = 0;
+            streaks.ai = 0;
+        }
+
+        // Track prediction accuracy
+        if (m.aiPrediction === choice && m.aiPrediction !== -1) {
+            m.predictionAccuracy++;
+        }
+
+        m.lastPlayerChoice = choice;
+        m.lastAIChoice = aiChoice;
+        m.lastResult = result;
+        m.detectedPatterns = detectPatterns(m);
+        if (m.round >= m.maxRounds) m.gameOver = true;
+        return result;
+    }
+
+    function accuracy(m) {
+        return m.round > 0 ? Math.round((m.predictionAccuracy / m.round) * 100) : 0;
+    }
+
+    function detectPatterns(m) {
+        const { playerHistory, resultHistory } = m;
+        const patterns = [];
+        if (playerHistory.length < 5) return patterns;
+
+        // Check for repetition
+        const last5 = playerHistory.slice(-5);
+        const unique = new Set(last5);
+        if (unique.size === 1) patterns.push(`Repeats ${SYMBOLS[last5[0]].name}`);
+
+        // Check for cycling
+        if (playerHistory.length >= 6) {
+            const last6 = playerHistory.slice(-6);
+            if (last6[0] === last6[2] && last6[2] === last6[4] &&
+                last6[1] === last6[3] && last6[3] === last6[5]) {
+                patterns.push('Alternating pattern');
+            }
+            if (last6[0] === last6[3] && last6[1] === last6[4] && last6[2] === last6[5]) {
+                patterns.push('3-cycle pattern');
+            }
+        }
+
+        // Check for favorite symbol
+        const counts = [0, 0, 0, 0, 0];
+        playerHistory.forEach(c => counts[c]++);
+        const total = playerHistory.length;
+        for (let i = 0; i < 5; i++) {
+            if (counts[i] / total > 0.4) {
+                patterns.push(`Favors ${SYMBOLS[i].name}`);
+            }
+        }
+
+        // Win-stay, lose-shift detection
+        let wslsCount = 0;
+        for (let i = 1; i < resultHistory.length; i++) {
+            if (resultHistory[i - 1] === 'win' && playerHistory[i] === playerHistory[i - 1]) wslsCount++;
+            if (resultHistory[i - 1] === 'loss' && playerHistory[i] !== playerHistory[i - 1]) wslsCount++;
+        }
+        if (resultHistory.length > 5 && wslsCount / (resultHistory.length - 1) > 0.65) {
+            patterns.push('Win-stay / Lose-shift');
+        }
+        return patterns;
+    }
+
+    return {
+        SYMBOLS, MAX_ROUNDS,
+        loadModel, exportModel, decayModel, createMatch, playRound, getResult, accuracy, detectPatterns
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = PatternDuelSim;
@@ -0,0 +1,281 @@
+/**
+ * NEURAL ARENA — Pong Simulation
+ * Rendering-free Pong rules and the Q-learning AI, shared by the browser game
+ * and the Node harness. A match advances one frame per step(); anything a view
+ * might react to (sounds, particles) is reported in match.events.
+ */
+const PongSim = (() => {
+    const W = 800, H = 500;
+    const WINNING_SCORE = 7;
+    const PADDLE_H = 80, PADDLE_W = 12;
+    const BALL_SIZE = 8;
+    const PADDLE_SPEED = 4;
+    const BALL_BASE_SPEED = 3.2;
+
+    // Q-Learning AI
+    const LEARNING_RATE = 0.3;
+    const DISCOUNT = 0.9;
+    const EPSILON_START = 0.3;
+    const MAX_Q_STATES = 600; // Keeps the persisted table well under storage quota
+
+    function discretize(bx, by, bvx, bvy, ay) {
+        // Discretize state into grid for Q-table
+        const gbx = Math.floor(bx / (W / 8));
+        const gby = Math.floor(by / (H / 6));
+        const gvx = bvx > 0 ? 1 : 0;
+        const gvy = bvy > 0 ? 1 : (bvy < 0 ? -1 : 0);
+        const gay = Math.floor(ay / (H / 6));
+        return `${gbx},${gby},${gvx},${gvy},${gay}`;
+    }
+
+    function getQ(Q, state, action) {
+        return (Q[state] && Q[state][action]) || 0;
+    }
+
+    function setQ(Q, state, action, value) {
+        if (!Q[state]) Q[state] = {};
+        Q[state][action] = value;
+    }
+
+    function bestAction(Q, state) {
+        const actions = [-1, 0, 1]; // up, stay, down
+        let best = actions[0];
+        let bestVal = getQ(Q, state, best);
+        for (const a of actions) {
+            const v = getQ(Q, state, a);
+            if (v > bestVal) { bestVal = v; best = a; }
+        }
+        return best;
+    }
+
+    function qLearnStep(m, reward) {
+        if (m.lastState === null) return;
+        const Q = m.model.qTable;
+        const { ball, aiPaddle } = m;
+        const state = discretize(ball.x, ball.y, ball.vx, ball.vy, aiPaddle.y);
+        const maxFutureQ = Math.max(getQ(Q, state, -1), getQ(Q, state, 0), getQ(Q, state, 1));
+        const oldQ = getQ(Q, m.lastState, m.lastAction);
+        const newQ = oldQ + LEARNING_RATE * (reward + DISCOUNT * maxFutureQ - oldQ);
+        setQ(Q, m.lastState, m.lastAction, newQ);
+    }
+
+    function aiDecide(m) {
+        const { model, ball, aiPaddle, rng } = m;
+        const state = discretize(ball.x, ball.y, ball.vx, ball.vy, aiPaddle.y);
+        model.qVisits[state] = (model.qVisits[state] || 0) + 1;
+        let action;
+
+        // Baseline: track the ball (so AI always looks alive)
+        const aiCenter = aiPaddle.y + PADDLE_H / 2;
+        const ballTarget = ball.y + ball.vy * 3; // predict a few frames ahead
+        let baselineAction = 0;
+        if (ballTarget < aiCenter - 15) baselineAction = -1;
+        else if (ballTarget > aiCenter + 15) baselineAction = 1;
+
+        // Q-learning override: as AI learns, it uses Q-table more
+        const qStates = Object.keys(model.qTable).length;
+        const useQLearning = qStates > 20 && rng() > model.epsilon;
+
+        if (useQLearning) {
+            action = bestAction(model.qTable, state);
+        } else if (rng() < model.epsilon * 0.3) {
+            // Small random exploration
+            action = [-1, 0, 1][Math.floor(rng() * 3)];
+        } else {
+            // Default to ball tracking (keeps AI visually responsive)
+            action = baselineAction;
+        }
+
+        m.lastState = state;
+        m.lastAction = action;
+        return action;
+    }
+
+    // --- Model (what persists between matches) ---
+
+    function loadModel(saved = {}) {
+        // Deep copy so learning never mutates the stored profile in place
+        return {
+            qTable: saved.qTable ? JSON.parse(JSON.stringify(saved.qTable)) : {},
+            qVisits: saved.qVisits ? { ...saved.qVisits } : {},
+            epsilon: typeof saved.epsilon === 'number' ? saved.epsilon : EPSILON_START
+        };
+    }
+
+    function pruneModel(model) {
+        const states = Object.keys(model.qTable);
+        if (states.length <= MAX_Q_STATES) return;
+        // Evict the least visited states first
+        states.sort((a, b) => (model.qVisits[a] || 0) - (model.qVisits[b] || 0));
+        for (const state of states.slice(0, states.length - MAX_Q_STATES)) {
+            delete model.qTable[state];
+            delete model.qVisits[state];
+        }
+    }
+
+    function exportModel(model) {
+        pruneModel(model);
+        const qTable = {};
+        for (const [state, actions] of Object.entries(model.qTable)) {
+            qTable[state] = {};
+            for (const [a, v] of Object.entries(actions)) {
+                qTable[state][a] = Math.round(v * 1000) / 1000;
+            }
+        }
+        const qVisits = {};
+        for (const state of Object.keys(qTable)) qVisits[state] = model.qVisits[state] || 0;
+        return { qTable, qVisits, epsilon: model.epsilon };
+    }
+
+    // --- Match ---
+
+    function resetBall(m, direction = 1) {
+        m.ball = {
+            x: W / 2, y: H / 2,
+            vx: BALL_BASE_SPEED * direction * (0.8 + m.rng() * 0.4),
+            vy: (m.rng() - 0.5) * BALL_BASE_SPEED * 0.8
+        };
+        m.rallyCount = 0;
+    }
+
+    function createMatch(model, rng, winningScore = WINNING_SCORE) {
+        const m = {
+            model,
+            rng,
+            winningScore,
+            ball: null,
+            playerPaddle: { x: 30, y: H / 2 - PADDLE_H / 2 },
+            aiPaddle: { x: W - 30 - PADDLE_W, y: H / 2 - PADDLE_H / 2 },
+            playerScore: 0,
+            aiScore: 0,
+            rallyCount: 0,
+            gameOver: false,
+            won: false,
+            playerAimHistory: [], // Where player aims (y-positions)
+            playerHitZones: [0, 0, 0, 0, 0], // 5 zones top to bottom
+            aiConfidence: 0,
+            lastState: null,
+            lastAction: null,
+            events: []
+        };
+        resetBall(m, 1);
+        return m;
+    }
+
+    function movePaddle(m, pointerY, keyDir = 0) {
+        // Human controls: the paddle eases toward the pointer, keys nudge it.
+        // Returns the paddle position to feed into step().
+        let y = m.playerPaddle.y;
+        y += (pointerY - PADDLE_H / 2 - y) * 0.25;
+        y = Math.max(0, Math.min(H - PADDLE_H, y));
+        y += keyDir * PADDLE_SPEED;
+        y = Math.max(0, Math.min(H - PADDLE_H, y));
+        // Half-pixel steps keep the logged positions short and replay exact
+        return Math.round(y * 2) / 2;
+    }
+
+    function step(m, paddleY) {
+        m.events = [];
+        if (m.gameOver) return;
+        const { ball, playerPaddle, aiPaddle } = m;
+        playerPaddle.y = paddleY;
+
+        // AI movement using Q-learning
+        const action = aiDecide(m);
+        aiPaddle.y += action * (PADDLE_SPEED + Math.min(m.rallyCount * 0.15, 2));
+        aiPaddle.y = Math.max(0, Math.min(H - PADDLE_H, aiPaddle.y));
+
+        // Ball movement
+        ball.x += ball.vx;
+        ball.y += ball.vy;
+
+        // Top/bottom bounce
+        if (ball.y <= BALL_SIZE || ball.y >= H - BALL_SIZE) {
+            ball.vy *= -1;
+            ball.y = Math.max(BALL_SIZE, Math.min(H - BALL_SIZE, ball.y));
+            m.events.push({ type: 'wall' });
+        }
+
+        // Paddle collisions
+        // Player paddle
+        if (ball.x - BALL_SIZE <= playerPaddle.x + PADDLE_W &&
+            ball.x + BALL_SIZE >= playerPaddle.x &&
+            ball.y >= playerPaddle.y && ball.y <= playerPaddle.y + PADDLE_H &&
+            ball.vx < 0) {
+            ball.vx = Math.min(Math.abs(ball.vx) * 1.03, 7);
+            const hitPos = (ball.y - playerPaddle.y) / PADDLE_H;
+            ball.vy = (hitPos - 0.5) * BALL_BASE_SPEED * 1.3;
+            ball.x = playerPaddle.x + PADDLE_W + BALL_SIZE;
+            m.rallyCount++;
+            m.events.push({ type: 'hit', side: 'player', x: ball.x, y: ball.y });
+
+            // Track player aim patterns
+            const aimZone = Math.floor((ball.vy > 0 ? 1 : 0) * 2.5 + 1.25);
+            m.playerHitZones[Math.min(4, Math.max(0, aimZone))]++;
+            m.playerAimHistory.push(ball.y);
+
+            qLearnStep(m, -1); // Player hit = negative reward for AI
+        }
+
+        // AI paddle
+        if (ball.x + BALL_SIZE >= aiPaddle.x &&
+            ball.x - BALL_SIZE <= aiPaddle.x + PADDLE_W &&
+            ball.y >= aiPaddle.y && ball.y <= aiPaddle.y + PADDLE_H &&
+            ball.vx > 0) {
+            ball.vx = -Math.min(Math.abs(ball.vx) * 1.03, 7);
+            const hitPos = (ball.y - aiPaddle.y) / PADDLE_H;
+            ball.vy = (hitPos - 0.5) * BALL_BASE_SPEED * 1.3;
+            ball.x = aiPaddle.x - BALL_SIZE;
+            m.rallyCount++;
+            m.events.push({ type: 'hit', side: 'ai', x: ball.x, y: ball.y });
+            qLearnStep(m, 1); // AI hit = positive reward
+        }
+
+        // Score
+        if (ball.x < -20) {
+            m.aiScore++;
+            qLearnStep(m, 10); // AI scored
+            m.model.epsilon = Math.max(0.05, m.model.epsilon * 0.95); // Reduce exploration
+            m.aiConfidence = Math.min(100, m.aiConfidence + 5);
+            m.events.push({ type: 'score', side: 'ai' });
+            checkGameOver(m);
+            if (!m.gameOver) resetBall(m, 1);
+        }
+        if (ball.x > W + 20) {
+            m.playerScore++;
+            qLearnStep(m, -10); // AI conceded
+            m.events.push({ type: 'score', side: 'player' });
+            checkGameOver(m);
+            if (!m.gameOver) resetBall(m, -1);
+        }
+    }
+
+    function checkGameOver(m) {
+        if (m.playerScore >= m.winningScore || m.aiScore >= m.winningScore) {
+            m.gameOver = true;
+            m.won = m.playerScore >= m.winningScore;
+            m.events.push({ type: 'gameover', won: m.won });
+        }
+    }
+
+    function detectPatterns(m) {
+        const patterns = [];
+        const zones = m.playerHitZones;
+        const total = zones.reduce((a, b) => a + b, 0);
+        if (total > 3) {
+            const topPct = (zones[0] + zones[1]) / total;
+            const botPct = (zones[3] + zones[4]) / total;
+            if (topPct > 0.6) patterns.push('Aims high in Pong');
+            else if (botPct > 0.6) patterns.push('Aims low in Pong');
+            else patterns.push('Varied aim in Pong');
+        }
+        return patterns;
+    }
+
+    return {
+        W, H, PADDLE_H, PADDLE_W, BALL_SIZE, WINNING_SCORE,
+        loadModel, exportModel, createMatch, movePaddle, step, detectPatterns
+    };
+})();
+
+if (typeof module !== 'undefined') module.exports = PongSim;
@@ -0,0 +1,197 @@
+/**
+ * NEURAL ARENA — Profile Storage Adapters
+ * Async key/value backends behind PlayerProfile. Data is split into named
+ * stores (profile index, profile core, one store per game) so a save only
+ * rewrites what changed. Every adapter implements:
+ *
+ *   open(stores)      -> Promise, creates any missing stores
+ *   get(store, key)   -> Promise<value | undefined>
+ *   keys(store)       -> Promise<string[]>
+ *   write(ops)        -> Promise, ops = [{store, key, value}]; value undefined deletes
+ *
+ * IndexedDB is the default; localStorage and then memory are fallbacks
+ * (with memory, nothing outlives the page).
+ */
+const ProfileStorage = (() => {
+    const clone = typeof structuredClone === 'function'
+        ? v => structuredClone(v)
+        : v => JSON.parse(JSON.stringify(v));
+
+    function corruptError(raw, cause) {
+        const err = new Error(`Stored data is corrupt: ${cause.message}`);
+        err.raw = raw;
+        return err;
+    }
+
+    // --- In-memory ---
+
+    function createMemoryAdapter() {
+        const data = new Map();
+        const storeOf = name => {
+            if (!data.has(name)) throw new Error(`Unknown store ${name}`);
+            return data.get(name);
+        };
+
+        return {
+            name: 'memory',
+            async open(stores) {
+                for (const name of stores) if (!data.has(name)) data.set(name, new Map());
+            },
+            async get(store, key) {
+                const v = storeOf(store).get(key);
+                return v === undefined ? undefined : clone(v);
+            },
+            async keys(store) {
+                return [...storeOf(store).keys()];
+            },
+            async write(ops) {
+                for (const { store, key, value } of ops) {
+                    if (value === undefined) storeOf(store).delete(key);
+                    else storeOf(store).set(key, clone(value));
+                }
+            }
+        };
+    }
+
+    // --- localStorage ---
+
+    function createLocalStorageAdapter(prefix = 'neural-arena') {
+        const fullKey = (store, key) => `${prefix}:${store}:${key}`;
+
+        return {
+            name: 'localStorage',
+            async open() {
+                // Throws when storage is disabled, so callers can fall back
+                const probe = `${prefix}:probe`;
+                localStorage.setItem(probe, '1');
+                localStorage.removeItem(probe);
+            },
+            async get(store, key) {
+                const raw = localStorage.getItem(fullKey(store, key));
+                if (raw === null) return undefined;
+                try {
+                    return JSON.parse(raw);
+                } catch (e) {
+                    throw corruptError(raw, e);
+                }
+            },
+            async keys(store) {
+                const start = `${prefix}:${store}:`;
+                const keys = [];
+                for (let i = 0; i < localStorage.length; i++) {
+                    const k = localStorage.key(i);
+                    if (k.startsWith(start)) keys.push(k.slice(start.length));
+                }
+                return keys;
+            },
+            async write(ops) {
+                for (const { store, key, value } of ops) {
+                    if (value === undefined) localStorage.removeItem(fullKey(store, key));
+                    else localStorage.setItem(fullKey(store, key), JSON.stringify(value));
+                }
+            }
+        };
+    }
+
+    // --- IndexedDB ---
+
+    function createIndexedDBAdapter(dbName = 'neural-arena') {
+        let db = null; // null until opened, and again after another tab upgraded the database
+        let storeNames = [];
+        let connecting = null;
+
+        function request(req) {
+            return new Promise((resolve, reject) => {
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+
+        function openDb(stores, version) {
+            return new Promise((resolve, reject) => {
+                const req = version ? indexedDB.open(dbName, version) : indexedDB.open(dbName);
+                req.onupgradeneeded = () => {
+                    for (const name of stores) {
+                        if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+                    }
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+                req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            });
+        }
+
+        async function connect() {
+            let conn = await openDb(storeNames);
+            // A new game means a new store, which needs a version bump
+            if (storeNames.some(name => !conn.objectStoreNames.contains(name))) {
+                const version = conn.version + 1;
+                conn.close();
+                conn = await openDb(storeNames, version);
+            }
+            // Another tab is upgrading: let it, and reconnect on the next request
+            conn.onversionchange = () => {
+                conn.close();
+                if (db === conn) db = null;
+            };
+            db = conn;
+            return conn;
+        }
+
+        function database() {
+            if (db) return Promise.resolve(db);
+            if (!connecting) connecting = connect().finally(() => { connecting = null; });
+            return connecting;
+        }
+
+        return {
+            name: 'indexedDB',
+            async open(stores) {
+                if (typeof indexedDB === 'undefined') throw new Error('IndexedDB unavailable');
+                storeNames = stores;
+                await database();
+            },
+            async get(store, key) {
+                const conn = await database();
+                return request(conn.transaction(store, 'readonly').objectStore(store).get(key));
+            },
+            async keys(store) {
+                const conn = await database();
+                return request(conn.transaction(store, 'readonly').objectStore(store).getAllKeys());
+            },
+            async write(ops) {
+                if (ops.length === 0) return;
+                const stores = [...new Set(ops.map(op => op.store))];
+                const conn = await database();
+                return new Promise((resolve, reject) => {
+                    // One transaction per batch: either every store updates or none do
+                    const tx = conn.transaction(stores, 'readwrite');
+                    for (const { store, key, value } of ops) {
+                        if (value === undefined) tx.objectStore(store).delete(key);
+                        else tx.objectStore(store).put(value, key);
+                    }
+                    tx.oncomplete = () => resolve();
+                    tx.onerror = () => reject(tx.error);
+                    tx.onabort = () => reject(tx.error);
+                });
+            }
+        };
+    }
+
+    async function openDefault(stores) {
+        // Best backend that actually opens here (private modes can refuse IndexedDB)
+        const factories = [createIndexedDBAdapter, createLocalStorageAdapter, createMemoryAdapter];
+        for (const create of factories) {
+            const adapter = create();
+            try {
+                await adapter.open(stores);
+                return adapter;
+            } catch (e) {
+                console.warn(`Profile storage: ${adapter.name} unavailable:`, e);
+            }
+        }
+        throw new Error('No profile storage available');
+    }
+
+    return { createMemoryAdapter, createLocalStorageAdapter, createIndexedDBAdapter, openDefault };
+})();
@@ -0,0 +1,80 @@
+/**
+ * NEURAL ARENA — Themes
+ * Colour palettes for the interface and the game canvases. Games read
+ * Theme.colors when they draw, and apply() updates the CSS variables in
+ * style.css, so switching palettes restyles everything without a reload.
+ * Colours never carry meaning on their own: pieces, shots and results also
+ * differ in shape or text.
+ */
+const Theme = (() => {
+    const NEON = {
+        bgDark: '#0a0a0f', bgMid: '#12121a', bgCard: '#1a1a2e', bgCardHover: '#22223a',
+        field: '#0a0a12', board: '#111128', border: 'rgba(255,255,255,0.06)',
+        cyan: '#00f0ff', pink: '#ff006e', purple: '#b829dd',
+        green: '#39ff14', yellow: '#ffe600', orange: '#ff6b35',
+        textPrimary: '#e8e8f0', textSecondary: '#8888aa', textDim: '#555570'
+    };
+
+    const PALETTES = {
+        neon: { label: 'Neon', colors: NEON },
+        // Okabe–Ito colours, distinguishable with red-green and blue-yellow colour blindness
+        colorblind: {
+            label: 'Colourblind safe',
+            colors: {
+                ...NEON,
+                cyan: '#56b4e9', pink: '#d55e00', purple: '#cc79a7',
+                green: '#009e73', yellow: '#f0e442', orange: '#e69f00'
+            }
+        },
+        contrast: {
+            label: 'High contrast',
+            colors: {
+                bgDark: '#000000', bgMid: '#000000', bgCard: '#0d0d0d', bgCardHover: '#1f1f1f',
+                field: '#000000', board: '#1c1c1c', border: 'rgba(255,255,255,0.45)',
+                cyan: '#00ffff', pink: '#ff4f9a', purple: '#d68cff',
+                green: '#5dff3d', yellow: '#ffff00', orange: '#ffa040',
+                textPrimary: '#ffffff', textSecondary: '#d0d0d0', textDim: '#a0a0a0'
+            }
+        }
+    };
+
+    // CSS variable -> palette colour
+    const CSS_VARS = {
+        '--bg-dark': 'bgDark', '--bg-mid': 'bgMid', '--bg-card': 'bgCard', '--bg-card-hover': 'bgCardHover',
+        '--neon-cyan': 'cyan', '--neon-pink': 'pink', '--neon-purple': 'purple',
+        '--neon-green': 'green', '--neon-yellow': 'yellow', '--neon-orange': 'orange',
+        '--text-primary': 'textPrimary', '--text-secondary': 'textSecondary', '--text-dim': 'textDim',
+        '--border-subtle': 'border'
+    };
+
+    // Filled in place so modules holding a reference see theme changes
+    const colors = { ...NEON };
+    let current = 'neon';
+
+    function alpha(hex, a) {
+        // '#rrggbb' -> 'rgba(r, g, b, a)'
+        const n = parseInt(hex.slice(1), 16);
+        return `rgba(${n >> 16}, ${(n >> 8) & 255}, ${n & 255}, ${a})`;
+    }
+
+    function apply(name) {
+        current = PALETTES[name] ? name : 'neon';
+        Object.assign(colors, PALETTES[current].colors);
+
+        const style = document.documentElement.style;
+        for (const [cssVar, key] of Object.entries(CSS_VARS)) style.setProperty(cssVar, colors[key]);
+        for (const key of ['cyan', 'pink', 'purple']) {
+            style.setProperty(`--glow-${key}`, `0 0 10px ${colors[key]}44, 0 0 30px ${colors[key]}22`);
+        }
+        document.body.dataset.theme = current;
+    }
+
+    function list() {
+        return Object.entries(PALETTES).map(([id, p]) => ({ id, label: p.label }));
+    }
+
+    return {
+        colors, alpha, apply, list,
+        get current() { return current; }
+    };
+})();
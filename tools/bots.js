@@ -0,0 +1,243 @@
+/**
+ * NEURAL ARENA — Persona Bots
+ * Reproducible stand-ins for a human player, used by the headless harness.
+ * Each persona feeds its game's simulation the same input a person would:
+ *
+ *   pong         act(match) -> pointer y (eased through PongSim.movePaddle)
+ *   dodgeArena   act(match) -> bitmask of held directions (DodgeSim.INPUT_BITS)
+ *   connect4     act(match) -> column
+ *   patternDuel  act(match) -> symbol id
+ *   memoryMatch  act(match) -> card index to flip; observe(card) after each flip
+ *
+ * create(rng) returns a fresh bot for one match; any randomness comes from rng.
+ * `expects` is the pattern the game's detectPatterns() should report for the
+ * persona, exactly as it lands in the profile (null when nothing is stable).
+ */
+const PongSim = require('../js/sim/pong-sim.js');
+const { INPUT_BITS } = require('../js/sim/dodge-sim.js');
+const Connect4Sim = require('../js/sim/connect4-sim.js');
+const { SYMBOLS } = require('../js/sim/pattern-duel-sim.js');
+
+// --- Pong ---
+
+function pongAimer(name, description, offset, expects) {
+    // Keeps the paddle centre `offset` px below the incoming ball, so every
+    // return leaves the same half of the paddle
+    return {
+        name,
+        game: 'pong',
+        description,
+        expects,
+        create() {
+            return { act: m => (m.ball.vx < 0 ? m.ball.y + offset : PongSim.H / 2) };
+        }
+    };
+}
+
+const pongTracker = {
+    name: 'tracker',
+    game: 'pong',
+    description: 'Follows the ball three quarters of a second late, drifts to centre otherwise',
+    expects: null,
+    create() {
+        const LAG = 45; // frames
+        const seen = [];
+        return {
+            act(m) {
+                seen.push(m.ball.y);
+                if (seen.length > LAG) seen.shift();
+                return m.ball.vx < 0 ? seen[0] : PongSim.H / 2;
+            }
+        };
+    }
+};
+
+// --- Dodge Arena ---
+
+function cornerCamper(name, description, bits, expects) {
+    return {
+        name,
+        game: 'dodgeArena',
+        description,
+        expects,
+        create() {
+            return { act: () => bits };
+        }
+    };
+}
+
+// --- Connect 4 ---
+
+function firstOpen(board, preferred) {
+    for (const col of preferred) {
+        if (board[0][col] === 0) return col;
+    }
+    return board[0].findIndex(v => v === 0);
+}
+
+function columnPlayer(name, description, preferred, expects) {
+    // preferred(cols) lists columns in the order the persona tries them, for
+    // a board that many columns wide (variants differ)
+    return {
+        name,
+        game: 'connect4',
+        description,
+        expects,
+        create() {
+            return { act: m => firstOpen(m.board, preferred(m.board[0].length)) };
+        }
+    };
+}
+
+function rowValue(board, connect) {
+    // Scores the player's open stretches along rows: a window one disc short
+    // of a line (a threat the AI has to block) far outweighs a shorter one
+    let value = 0;
+    for (const row of board) {
+        for (let c = 0; c + connect <= row.length; c++) {
+            const span = row.slice(c, c + connect);
+            if (span.includes(2)) continue;
+            const own = span.filter(v => v === 1).length;
+            value += own === connect - 1 ? 100 : (own > 0 ? 4 ** own : 0);
+        }
+    }
+    return value;
+}
+
+// Always drops where it opens the most along rows, so its threats are horizontal
+// ones the AI has to keep blocking
+const rowBuilder = {
+    name: 'row-builder',
+    game: 'connect4',
+    description: 'Drops wherever it opens the most along rows, building horizontal threats',
+    expects: 'Builds horizontal threats in Connect 4',
+    create() {
+        return {
+            act: m => {
+                const { connect } = Connect4Sim.VARIANTS[m.model.variant];
+                let best = -1, bestValue = -1;
+                for (let c = 0; c < m.board[0].length; c++) {
+                    const r = m.board.map(row => row[c]).lastIndexOf(0);
+                    if (r < 0) continue;
+                    const board = m.board.map(row => [...row]);
+                    board[r][c] = 1;
+                    const value = rowValue(board, connect);
+                    if (value > bestValue) [best, bestValue] = [c, value];
+                }
+                return best;
+            }
+        };
+    }
+};
+
+// --- Pattern Duel ---
+
+const cyclic = {
+    name: 'cyclic',
+    game: 'patternDuel',
+    description: `Cycles ${SYMBOLS[0].name} → ${SYMBOLS[1].name} → ${SYMBOLS[2].name}`,
+    expects: '3-cycle pattern',
+    create() {
+        return { act: m => m.round % 3 };
+    }
+};
+
+const repeater = {
+    name: 'repeater',
+    game: 'patternDuel',
+    description: `Always plays ${SYMBOLS[0].name}`,
+    expects: `Repeats ${SYMBOLS[0].name}`,
+    create() {
+        return { act: () => 0 };
+    }
+};
+
+const winStayLoseShift = {
+    name: 'win-stay-lose-shift',
+    game: 'patternDuel',
+    description: 'Keeps a winning symbol, switches to a random other one otherwise',
+    expects: 'Win-stay / Lose-shift',
+    create(rng) {
+        return {
+            act(m) {
+                const last = m.lastPlayerChoice;
+                if (last === -1) return Math.floor(rng() * 5);
+                if (m.lastResult === 'win') return last;
+                return (last + 1 + Math.floor(rng() * 4)) % 5;
+            }
+        };
+    }
+};
+
+// --- Memory Match ---
+
+function memoryPlayer(name, description, capacity, expects) {
+    // Remembers the last `capacity` cards it saw (Infinity = perfect recall)
+    return {
+        name,
+        game: 'memoryMatch',
+        description,
+        expects,
+        create(rng) {
+            let seen = []; // [{index, symbol}] most recent last
+
+            function pickUnknown(m) {
+                const known = new Set(seen.map(s => s.index));
+                const open = m.cards.filter(c => !c.matched && !c.flipped && !known.has(c.index));
+                const pool = open.length > 0 ? open : m.cards.filter(c => !c.matched && !c.flipped);
+                return pool[Math.floor(rng() * pool.length)].index;
+            }
+
+            return {
+                act(m) {
+                    seen = seen.filter(s => !m.cards[s.index].matched);
+                    const [first] = m.flippedCards;
+                    if (first) {
+                        const twin = seen.find(s => s.symbol === first.symbol && s.index !== first.index);
+                        return twin ? twin.index : pickUnknown(m);
+                    }
+                    // A remembered pair goes first
+                    for (const a of seen) {
+                        const b = seen.find(s => s.symbol === a.symbol && s.index !== a.index);
+                        if (b) return a.index;
+                    }
+                    return pickUnknown(m);
+                },
+                observe(card) {
+                    if (capacity === 0) return;
+                    seen = seen.filter(s => s.index !== card.index);
+                    seen.push({ index: card.index, symbol: card.symbol });
+                    if (seen.length > capacity) seen.shift();
+                }
+            };
+        }
+    };
+}
+
+const ALL = [
+    pongTracker,
+    pongAimer('high-aimer', 'Returns every ball off the top half of the paddle', PongSim.PADDLE_H / 4, 'Aims high in Pong'),
+    pongAimer('low-aimer', 'Returns every ball off the bottom half of the paddle', -PongSim.PADDLE_H / 4, 'Aims low in Pong'),
+    cornerCamper('corner-hider', 'Runs to the top-left corner and stays there',
+        INPUT_BITS.left | INPUT_BITS.up, 'Hides top-left in Dodge'),
+    cornerCamper('bottom-right-camper', 'Runs to the bottom-right corner and stays there',
+        INPUT_BITS.right | INPUT_BITS.down, 'Hides bottom-right in Dodge'),
+    columnPlayer('always-center', 'Plays the centre column, then the nearest open one',
+        cols => [...Array(cols).keys()].sort((a, b) => Math.abs(a - Math.floor(cols / 2)) - Math.abs(b - Math.floor(cols / 2))),
+        'Opens center in Connect 4'),
+    columnPlayer('column-one', 'Always opens column 1 and stacks it, then fills left to right',
+        cols => [...Array(cols).keys()], 'Favors left side in Connect 4'),
+    rowBuilder,
+    cyclic,
+    repeater,
+    winStayLoseShift,
+    memoryPlayer('forgetful', 'Remembers only the last 6 cards it saw', 6, null),
+    memoryPlayer('goldfish', 'Remembers nothing, flips at random', 0, 'Struggles with memory pairs'),
+    memoryPlayer('photographic', 'Remembers every card it has seen', Infinity, 'Goes on match streaks')
+];
+
+function forGame(game) {
+    return ALL.filter(b => b.game === game);
+}
+
+module.exports = { ALL, forGame };
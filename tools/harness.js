@@ -0,0 +1,260 @@
+/**
+ * NEURAL ARENA — Headless Training Harness
+ * Plays many matches between each game's AI and the scripted bots, carrying
+ * the learned model from match to match exactly as the browser does (export,
+ * then load again), and reports how quickly each AI adapts.
+ *
+ *   node tools/harness.js [--game pong] [--bot cyclic] [--matches 500] [--seed 1] [--depth 4] [--variant PopOut]
+ *   node tools/harness.js --check [--game pong]
+ *
+ * Per game and bot it prints the AI's score over the first and last tenth
+ * of the run, a coarse learning curve, and how many matches it took for the
+ * rolling average to cross that game's "adapted" threshold. --check instead
+ * plays a few matches per persona and fails unless the game detects the
+ * pattern the persona is built to show.
+ */
+const SeededRandom = require('../js/rng.js');
+const PongSim = require('../js/sim/pong-sim.js');
+const DodgeSim = require('../js/sim/dodge-sim.js');
+const Connect4Sim = require('../js/sim/connect4-sim.js');
+const PatternDuelSim = require('../js/sim/pattern-duel-sim.js');
+const MemorySim = require('../js/sim/memory-sim.js');
+const Bots = require('./bots.js');
+
+const MAX_FRAMES = 60 * 60 * 10; // Ten minutes of play ends a stalled real-time match
+const ROLLING_WINDOW = 10;
+const CHECK_MATCHES = 5;
+const CHECK_DEPTH = 4; // Keeps --check quick; pass --depth to check at a real search depth
+
+// Each runner plays one match and returns the AI's score for it (0-1)
+// plus anything worth showing. `saved` is the exported model, or undefined.
+const GAMES = {
+    pong: {
+        matches: 200,
+        metric: 'AI point share',
+        threshold: 0.5,
+        play(saved, bot, rng) {
+            const model = PongSim.loadModel(saved);
+            const m = PongSim.createMatch(model, rng);
+            for (let f = 0; f < MAX_FRAMES && !m.gameOver; f++) {
+                PongSim.step(m, PongSim.movePaddle(m, bot.act(m), 0));
+            }
+            const points = m.aiScore + m.playerScore;
+            return {
+                saved: PongSim.exportModel(model),
+                score: points > 0 ? m.aiScore / points : 0,
+                patterns: PongSim.detectPatterns(m)
+            };
+        }
+    },
+
+    dodgeArena: {
+        matches: 200,
+        metric: 'adapted-shot hit share',
+        threshold: 0.5,
+        play(saved, bot, rng) {
+            const model = DodgeSim.loadModel(saved);
+            const m = DodgeSim.createMatch(model, rng);
+            let hits = 0;
+            for (let f = 0; f < MAX_FRAMES && !m.gameOver; f++) {
+                DodgeSim.step(m, bot.act(m));
+                hits += m.events.filter(e => e.type === 'hit').length;
+            }
+            DodgeSim.mergeRun(model, m);
+            return {
+                saved: DodgeSim.exportModel(model),
+                score: hits > 0 ? m.aiAccuracy / hits : 0,
+                extra: `wave ${m.wave}, survived ${Math.round(m.gameTime / 60)}s`,
+                patterns: DodgeSim.detectPatterns(m)
+            };
+        }
+    },
+
+    connect4: {
+        matches: 12, // Deep searches still take a while; pass --depth to go further
+        metric: 'AI win rate',
+        threshold: 0.9,
+        play(saved, bot, rng, { index, depth, variant }) {
+            const model = Connect4Sim.loadModel(saved, variant);
+            model.aiDepth = depth || Connect4Sim.depthFor(index);
+            const m = Connect4Sim.createMatch(model);
+            while (Connect4Sim.play(m, bot.act(m), 1)) {
+                if (!Connect4Sim.play(m, Connect4Sim.searchAiMove(m), 2)) break;
+            }
+            const patterns = Connect4Sim.detectPatterns(m);
+            Connect4Sim.finish(m);
+            const result = Connect4Sim.resultOf(m);
+            return {
+                saved: Connect4Sim.exportModel(model, saved),
+                score: result === 'loss' ? 1 : (result === 'draw' ? 0.5 : 0),
+                extra: `${m.moveHistory.length} moves`,
+                patterns
+            };
+        }
+    },
+
+    patternDuel: {
+        matches: 1000,
+        metric: 'prediction accuracy',
+        threshold: 0.8,
+        play(saved, bot, rng) {
+            const model = PatternDuelSim.loadModel(saved);
+            const m = PatternDuelSim.createMatch(model, rng);
+            while (!m.gameOver) PatternDuelSim.playRound(m, bot.act(m));
+            PatternDuelSim.decayModel(model);
+            return {
+                saved: PatternDuelSim.exportModel(model),
+                score: PatternDuelSim.accuracy(m) / 100,
+                patterns: m.detectedPatterns
+            };
+        }
+    },
+
+    memoryMatch: {
+        matches: 500,
+        metric: 'difficulty dealt (of 5)',
+        threshold: 0.6,
+        play(saved, bot, rng, { index }) {
+            // The session model (difficulty, streaks) carries over like "NEXT ROUND"
+            const model = saved || MemorySim.loadModel();
+            if (!saved) MemorySim.startSession(model, index);
+            const m = MemorySim.createRound(model, rng);
+            while (!m.gameOver) {
+                const card = MemorySim.flipCard(m, bot.act(m));
+                if (bot.observe) bot.observe(card);
+                if (m.flippedCards.length === 2) MemorySim.resolvePair(m);
+            }
+            return {
+                saved: model,
+                score: m.roundDifficulty / 5,
+                extra: `${m.moves} moves`,
+                patterns: MemorySim.detectPatterns(m)
+            };
+        }
+    }
+};
+
+// --- Reporting ---
+
+function average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function pct(v) {
+    return `${Math.round(v * 100)}%`.padStart(4);
+}
+
+function matchesToAdapt(scores, threshold) {
+    // First match after which the rolling average holds at or above the threshold
+    const window = Math.min(ROLLING_WINDOW, scores.length);
+    for (let i = window; i <= scores.length; i++) {
+        if (average(scores.slice(i - window, i)) >= threshold) return i;
+    }
+    return null;
+}
+
+function learningCurve(scores, buckets = 10) {
+    const size = Math.max(1, Math.floor(scores.length / buckets));
+    const points = [];
+    for (let i = 0; i < scores.length; i += size) points.push(average(scores.slice(i, i + size)));
+    return points.map(pct).join(' ');
+}
+
+function playSeries(gameId, botDef, matches, opts) {
+    // Plays `matches` in a row from a fresh model, carrying what the AI learns
+    const game = GAMES[gameId];
+    const rng = SeededRandom.create(opts.seed);
+    const results = [];
+    let saved;
+    for (let i = 0; i < matches; i++) {
+        const bot = botDef.create(rng);
+        const result = game.play(saved, bot, rng, { index: i, depth: opts.depth, variant: opts.variant });
+        saved = result.saved;
+        results.push(result);
+    }
+    return results;
+}
+
+function runBot(gameId, botDef, opts) {
+    const game = GAMES[gameId];
+    const matches = opts.matches || game.matches;
+    const started = Date.now();
+    const results = playSeries(gameId, botDef, matches, opts);
+    const scores = results.map(r => r.score);
+    const last = results[results.length - 1];
+    const seenPatterns = {};
+    for (const r of results) {
+        for (const p of r.patterns) seenPatterns[p] = (seenPatterns[p] || 0) + 1;
+    }
+
+    const tenth = Math.max(1, Math.floor(matches / 10));
+    const adapted = matchesToAdapt(scores, game.threshold);
+    const topPatterns = Object.entries(seenPatterns).sort(([, a], [, b]) => b - a).slice(0, 3);
+
+    console.log(`\n${gameId} vs ${botDef.name} — ${botDef.description}`);
+    console.log(`  ${matches} matches in ${((Date.now() - started) / 1000).toFixed(1)}s, metric: ${game.metric}`);
+    console.log(`  first ${tenth}: ${pct(average(scores.slice(0, tenth)))}   last ${tenth}: ${pct(average(scores.slice(-tenth)))}`);
+    console.log(`  curve: ${learningCurve(scores)}`);
+    console.log(`  adapted (rolling ${ROLLING_WINDOW} >= ${pct(game.threshold).trim()}): ${adapted === null ? 'not within this run' : `after ${adapted} matches`}`);
+    if (last.extra) console.log(`  last match: ${last.extra}`);
+    if (topPatterns.length > 0) {
+        console.log(`  detected: ${topPatterns.map(([p, n]) => `${p} (${n})`).join(', ')}`);
+    }
+    if (botDef.expects) {
+        console.log(`  expected: ${botDef.expects} (${seenPatterns[botDef.expects] || 0}/${matches})`);
+    }
+}
+
+function checkBot(gameId, botDef, opts) {
+    // A persona passes when most of its matches report the expected pattern
+    const results = playSeries(gameId, botDef, CHECK_MATCHES, { ...opts, depth: opts.depth || CHECK_DEPTH });
+    const hits = results.filter(r => r.patterns.includes(botDef.expects)).length;
+    const pass = hits * 2 > results.length;
+    const got = [...new Set(results.flatMap(r => r.patterns))];
+    console.log(`${pass ? 'PASS' : 'FAIL'}  ${gameId}/${botDef.name}: "${botDef.expects}" in ${hits}/${results.length}` +
+        (pass ? '' : ` — detected: ${got.join(', ') || 'nothing'}`));
+    return pass;
+}
+
+function parseArgs(argv) {
+    const opts = { seed: 1, check: false };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (key === 'check') { opts.check = true; continue; }
+        if (key === 'game' || key === 'bot' || key === 'variant') opts[key] = value;
+        else if (key === 'matches' || key === 'seed' || key === 'depth') opts[key] = parseInt(value, 10);
+        else throw new Error(`Unknown option ${argv[i]}`);
+        i++;
+    }
+    if (opts.game && !GAMES[opts.game]) {
+        throw new Error(`Unknown game ${opts.game} (expected one of ${Object.keys(GAMES).join(', ')})`);
+    }
+    if (opts.variant && !Connect4Sim.VARIANTS[opts.variant]) {
+        throw new Error(`Unknown Connect 4 variant ${opts.variant} (expected one of ${Object.keys(Connect4Sim.VARIANTS).join(', ')})`);
+    }
+    return opts;
+}
+
+function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    let failed = 0;
+    for (const gameId of Object.keys(GAMES)) {
+        if (opts.game && opts.game !== gameId) continue;
+        for (const bot of Bots.forGame(gameId)) {
+            if (opts.bot && opts.bot !== bot.name) continue;
+            if (!opts.check) runBot(gameId, bot, opts);
+            else if (bot.expects && !checkBot(gameId, bot, opts)) failed++;
+        }
+    }
+    if (failed > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,94 @@
+/**
+ * NEURAL ARENA — Profile Storage Check
+ * Loads the browser's registry, storage and profile scripts into a Node
+ * context on the memory adapter and checks that one corrupt game store only
+ * costs that game: the other stores survive a later save, and the unreadable
+ * data is kept under corrupt:{id}.
+ *
+ *   node tools/profile-check.js
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['js/registry.js', 'js/storage.js', 'js/profile.js'];
+const GAME_IDS = ['alpha', 'beta', 'gamma'];
+
+function loadArena() {
+    const warnings = [];
+    const context = vm.createContext({
+        console: { log: console.log, error: console.error, warn: (...args) => warnings.push(args.join(' ')) },
+        setTimeout, clearTimeout, structuredClone
+    });
+    // Top-level consts stay in the context's script scope, so hand them out explicitly
+    const source = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n');
+    vm.runInContext(source, context);
+    const arena = vm.runInContext('({ GameRegistry, ProfileStorage, PlayerProfile })', context);
+
+    const noop = () => {};
+    for (const id of GAME_IDS) {
+        arena.GameRegistry.register({
+            id, title: id, icon: '?', aiType: 'test', desc: id, color: '#fff', stats: { wins: 0, losses: 0 },
+            start: noop, stop: noop, restart: noop, getInsights: () => [], getStatsBar: () => ''
+        });
+    }
+    arena.GameRegistry.load([]);
+    return { ...arena, warnings };
+}
+
+const checks = [];
+function check(name, ok) {
+    checks.push(ok);
+    console.log(`${ok ? 'PASS' : 'FAIL'}  ${name}`);
+}
+
+async function main() {
+    const { ProfileStorage, PlayerProfile, warnings } = loadArena();
+    const adapter = ProfileStorage.createMemoryAdapter();
+    await PlayerProfile.ready; // The default backend opens first; swap in ours after it
+    await PlayerProfile.useStorage(adapter);
+
+    // Play a game of each, then save
+    for (const id of GAME_IDS) {
+        PlayerProfile.recordGame(id, 'win');
+        PlayerProfile.updatePatterns(id, { learned: id });
+    }
+    await PlayerProfile.flush();
+
+    // Corrupt one game's record the way a bad localStorage entry reads back, then load again
+    const raw = '{"played": 1, "wi';
+    const corrupted = {
+        ...adapter,
+        async get(store, key) {
+            if (store !== 'beta') return adapter.get(store, key);
+            const err = new Error('Stored data is corrupt');
+            err.raw = raw;
+            throw err;
+        }
+    };
+    await PlayerProfile.useStorage(corrupted);
+    check('corrupt store is reported', warnings.some(w => w.includes('corrupt in beta')));
+    check('corrupt record kept under corrupt:default',
+        (await adapter.get('meta', 'corrupt:default'))?.beta === raw);
+    check('corrupt store falls back to defaults', PlayerProfile.getGameStats('beta').played === 0);
+
+    // A later save must not overwrite the games that were intact
+    PlayerProfile.recordGame('beta', 'loss');
+    PlayerProfile.save();
+    await PlayerProfile.flush();
+    await PlayerProfile.useStorage(adapter);
+    for (const id of ['alpha', 'gamma']) {
+        const g = PlayerProfile.getGameStats(id);
+        check(`${id} survives a save`, g.played === 1 && g.wins === 1 && g.patterns.learned === id);
+    }
+    check('core survives a save', PlayerProfile.data.totalGamesPlayed === 4);
+    check('corrupt store is rewritten', PlayerProfile.getGameStats('beta').losses === 1);
+
+    if (checks.includes(false)) process.exit(1);
+}
+
+main().catch(e => {
+    console.error(e);
+    process.exit(1);
+});